@@ -1,20 +1,59 @@
+importScripts("search.js", "state.js");
+
 const DEFAULT_OPTIONS = {
   syncIntervalMinutes: 10,
   includeMarkdown: true,
   includeJson: true,
   deleteRemoved: false,
-  maxParallelFetch: 3
+  deleteGuardCount: 20,
+  deleteGuardPercent: 10,
+  trashRetentionDays: 30,
+  maxParallelFetch: 3,
+  downloadAttachments: false,
+  maxAttachmentMb: 25,
+  includeToolMessages: true,
+  sendAccountHeader: true,
+  syncArchived: true,
+  includeHtml: false,
+  keepHistory: false,
+  historyRetention: 10,
+  encryptFiles: false,
+  pathTemplate: "{id}",
+  maxRunMinutes: 60,
+  destinations: [],
+  includeRules: "",
+  excludeRules: "",
+  blockedIds: [],
+  redactDetectors: [],
+  redactPatterns: "",
+  redactMode: "mask"
 };
 
+const REDACTION_DETECTOR_NAMES = ["email", "apiKey", "creditCard", "phone"];
+
+const MAX_DESTINATIONS = 8;
+
 const STORAGE_KEYS = {
   options: "options",
   status: "status",
-  syncState: "syncState"
+  syncState: "syncState",
+  searchIndexStatus: "searchIndexStatus",
+  pendingDeletion: "pendingDeletion",
+  archiveVerify: "archiveVerify",
+  accounts: "accounts",
+  activeAccount: "activeAccount"
 };
 
 const SYNC_ALARM = "chatgpt-sync-alarm";
+const SYNC_INACTIVITY_MS = 3 * 60 * 1000;
+const SYNC_WATCHDOG_INTERVAL_MS = 20000;
 
 let syncInProgress = false;
+let activeSyncControl = null;
+let searchRebuildInProgress = false;
+let importLocked = false;
+let importLockTimer = null;
+let accountRegistration = Promise.resolve();
 
 function nowIso() {
   return new Date().toISOString();
@@ -45,52 +84,227 @@ function normalizeOptions(options) {
   const maxParallelFetch = Number.isFinite(parallelRaw)
     ? Math.min(10, Math.max(1, parallelRaw))
     : DEFAULT_OPTIONS.maxParallelFetch;
+  const attachmentRaw = Number.parseFloat(options.maxAttachmentMb);
+  const maxAttachmentMb =
+    Number.isFinite(attachmentRaw) && attachmentRaw >= 0
+      ? attachmentRaw
+      : DEFAULT_OPTIONS.maxAttachmentMb;
+  const guardCountRaw = Number.parseInt(options.deleteGuardCount, 10);
+  const deleteGuardCount =
+    Number.isFinite(guardCountRaw) && guardCountRaw >= 0
+      ? guardCountRaw
+      : DEFAULT_OPTIONS.deleteGuardCount;
+  const guardPercentRaw = Number.parseFloat(options.deleteGuardPercent);
+  const deleteGuardPercent =
+    Number.isFinite(guardPercentRaw) && guardPercentRaw >= 0
+      ? Math.min(100, guardPercentRaw)
+      : DEFAULT_OPTIONS.deleteGuardPercent;
+  const trashRaw = Number.parseInt(options.trashRetentionDays, 10);
+  const trashRetentionDays =
+    Number.isFinite(trashRaw) && trashRaw >= 0
+      ? Math.min(3650, trashRaw)
+      : DEFAULT_OPTIONS.trashRetentionDays;
+  const retentionRaw = Number.parseInt(options.historyRetention, 10);
+  const historyRetention = Number.isFinite(retentionRaw)
+    ? Math.min(1000, Math.max(1, retentionRaw))
+    : DEFAULT_OPTIONS.historyRetention;
+  const runRaw = Number.parseInt(options.maxRunMinutes, 10);
+  const maxRunMinutes =
+    Number.isFinite(runRaw) && runRaw >= 0
+      ? Math.min(24 * 60, runRaw)
+      : DEFAULT_OPTIONS.maxRunMinutes;
   return {
     ...DEFAULT_OPTIONS,
     ...options,
     syncIntervalMinutes,
     maxParallelFetch,
+    maxAttachmentMb,
+    maxRunMinutes,
+    historyRetention,
+    deleteGuardCount,
+    deleteGuardPercent,
+    trashRetentionDays,
     includeJson: options.includeJson !== false,
     includeMarkdown: options.includeMarkdown !== false,
-    deleteRemoved: options.deleteRemoved === true
+    deleteRemoved: options.deleteRemoved === true,
+    downloadAttachments: options.downloadAttachments === true,
+    includeToolMessages: options.includeToolMessages !== false,
+    sendAccountHeader: options.sendAccountHeader !== false,
+    syncArchived: options.syncArchived !== false,
+    includeHtml: options.includeHtml === true,
+    keepHistory: options.keepHistory === true,
+    encryptFiles: options.encryptFiles === true,
+    pathTemplate: normalizePathTemplate(options.pathTemplate),
+    destinations: normalizeDestinations(options.destinations),
+    includeRules: typeof options.includeRules === "string" ? options.includeRules.trim() : "",
+    excludeRules: typeof options.excludeRules === "string" ? options.excludeRules.trim() : "",
+    blockedIds: Array.from(
+      new Set(
+        (Array.isArray(options.blockedIds) ? options.blockedIds : []).filter(
+          (id) => typeof id === "string" && id
+        )
+      )
+    ),
+    redactDetectors: REDACTION_DETECTOR_NAMES.filter(
+      (name) => Array.isArray(options.redactDetectors) && options.redactDetectors.includes(name)
+    ),
+    redactPatterns: typeof options.redactPatterns === "string" ? options.redactPatterns.trim() : "",
+    redactMode: options.redactMode === "hash" ? "hash" : "mask"
   };
 }
 
+function normalizePathTemplate(value) {
+  const template = typeof value === "string" ? value.trim().replace(/^\/+|\/+$/g, "") : "";
+  return template || DEFAULT_OPTIONS.pathTemplate;
+}
+
+// Extra destinations next to the main folder ("root"), each with its own
+// folder handle in the ChatGPT tab, formats, path template, and deletion policy.
+function normalizeDestinations(value) {
+  const seen = new Set(["root"]);
+  const destinations = [];
+  for (const raw of Array.isArray(value) ? value : []) {
+    if (!raw || typeof raw !== "object" || destinations.length >= MAX_DESTINATIONS) {
+      continue;
+    }
+    let id = typeof raw.id === "string" ? raw.id.trim().replace(/[^a-z0-9-]/gi, "") : "";
+    if (!id || seen.has(id)) {
+      id = `dest-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+    seen.add(id);
+    const name = typeof raw.name === "string" ? raw.name.trim().slice(0, 60) : "";
+    destinations.push({
+      id,
+      name: name || `Destination ${destinations.length + 1}`,
+      includeJson: raw.includeJson === true,
+      includeMarkdown: raw.includeMarkdown !== false,
+      includeHtml: raw.includeHtml === true,
+      pathTemplate: normalizePathTemplate(raw.pathTemplate),
+      deleteRemoved: raw.deleteRemoved === true
+    });
+  }
+  return destinations;
+}
+
+function getRulesKey(options) {
+  // The blocklist is left out: blocking needs no refetch, and the options page
+  // refetches unblocked chats directly.
+  return JSON.stringify([options.includeRules, options.excludeRules, options.syncArchived]);
+}
+
+function getRedactionKey(options) {
+  return JSON.stringify([options.redactDetectors, options.redactPatterns, options.redactMode]);
+}
+
+function getLayoutKey(options) {
+  return JSON.stringify([
+    options.pathTemplate,
+    ...options.destinations.map((destination) => [destination.id, destination.pathTemplate])
+  ]);
+}
+
 async function setStatus(partial) {
   const current = await getFromStorage(STORAGE_KEYS.status, {});
   await setInStorage(STORAGE_KEYS.status, { ...current, ...partial });
 }
 
-async function getSyncState() {
-  return await getFromStorage(STORAGE_KEYS.syncState, {
-    conversations: {},
-    meta: {},
-    lastRun: {},
+function toSyncSummary(state) {
+  const ids = new Set([...Object.keys(state.conversations || {}), ...Object.keys(state.meta || {})]);
+  const statusCounts = { updated: 0, imported: 0, restored: 0, unchanged: 0, excluded: 0, error: 0, unknown: 0 };
+  for (const id of ids) {
+    const run = state.lastRun ? state.lastRun[id] : null;
+    const status = run && run.status ? run.status : "unknown";
+    statusCounts[status] = (statusCounts[status] || 0) + 1;
+  }
+  return {
+    lastFullInventoryAt: state.lastFullInventoryAt || null,
+    inventoryCursor: state.inventoryCursor || null,
+    inventoryInProgress: state.inventoryInProgress === true,
+    total: ids.size,
+    statusCounts,
+    updatedAt: nowIso()
+  };
+}
+
+// Older versions kept every map inside chrome.storage; move them into the
+// state store once and leave only the summary behind.
+async function migrateLegacySyncState() {
+  const stored = await getFromStorage(scopedName(STORAGE_KEYS.syncState), null);
+  if (!stored || !(stored.conversations || stored.meta || stored.lastRun)) {
+    return;
+  }
+  const legacy = {
+    conversations: stored.conversations || {},
+    meta: stored.meta || {},
+    lastRun: stored.lastRun || {}
+  };
+  const ids = new Set([
+    ...Object.keys(legacy.conversations),
+    ...Object.keys(legacy.meta),
+    ...Object.keys(legacy.lastRun)
+  ]);
+  await writeConversationStates(
+    Array.from(ids).map((id) => toConversationState(legacy, id)),
+    []
+  );
+  await setInStorage(scopedName(STORAGE_KEYS.syncState), toSyncSummary({ ...stored, ...legacy }));
+}
+
+async function getSyncSummary(scope) {
+  return await getFromStorage(scopedName(STORAGE_KEYS.syncState, scope), {
     lastFullInventoryAt: null,
     inventoryCursor: null,
     inventoryInProgress: false
   });
 }
 
-async function setSyncState(state) {
+async function updateSyncSummary(partial, scope) {
+  const current = await getSyncSummary(scope);
+  await setInStorage(scopedName(STORAGE_KEYS.syncState, scope), {
+    ...current,
+    ...partial,
+    updatedAt: nowIso()
+  });
+}
+
+async function getSyncState() {
+  await migrateLegacySyncState();
+  const summary = await getSyncSummary();
+  const state = {
+    conversations: {},
+    meta: {},
+    lastRun: {},
+    lastFullInventoryAt: summary.lastFullInventoryAt || null,
+    inventoryCursor: summary.inventoryCursor || null,
+    inventoryInProgress: summary.inventoryInProgress === true
+  };
+  for (const record of await readAllConversationStates()) {
+    addConversationState(state, record);
+  }
+  return state;
+}
+
+// Only the conversations touched since the last checkpoint are written; the
+// chrome.storage value stays a small summary regardless of account size.
+async function setSyncState(state, dirtyIds, removedIds) {
+  const ids = Array.from(dirtyIds || []);
+  if (dirtyIds) {
+    dirtyIds.clear();
+  }
   try {
-    await setInStorage(STORAGE_KEYS.syncState, state);
+    await writeConversationStates(
+      ids.map((id) => toConversationState(state, id)),
+      removedIds || []
+    );
   } catch (err) {
-    console.warn("Failed to persist full sync state, retrying with a smaller payload.");
-    const slim = {
-      conversations: state.conversations || {},
-      meta: {},
-      lastRun: {},
-      lastFullInventoryAt: state.lastFullInventoryAt || null,
-      inventoryCursor: state.inventoryCursor || null,
-      inventoryInProgress: state.inventoryInProgress === true
-    };
-    try {
-      await setInStorage(STORAGE_KEYS.syncState, slim);
-    } catch (inner) {
-      console.warn("Failed to persist slim sync state.");
+    console.warn("Failed to persist conversation state.", err);
+    if (dirtyIds) {
+      for (const id of ids) {
+        dirtyIds.add(id);
+      }
     }
   }
+  await setInStorage(scopedName(STORAGE_KEYS.syncState), toSyncSummary(state));
 }
 
 async function ensureDefaults() {
@@ -100,13 +314,510 @@ async function ensureDefaults() {
   }
 }
 
+function toAccountScope(key) {
+  return String(key).replace(/[^a-zA-Z0-9_-]/g, "").slice(0, 64) || "account";
+}
+
+// Records an account reported by a ChatGPT tab. The first account ever seen
+// keeps the unscoped state and folder from before accounts were tracked;
+// later accounts start empty. Registrations are serialized so two tabs never
+// both claim the unscoped slot.
+function registerAccount(account) {
+  const run = accountRegistration.then(async () => {
+    if (!account || typeof account.key !== "string" || !account.key) {
+      throw new Error("Sign in to ChatGPT to sync.");
+    }
+    const accounts = await getFromStorage(STORAGE_KEYS.accounts, {});
+    const existing = accounts[account.key];
+    const scopes = new Set(Object.values(accounts).map((entry) => entry.scope));
+    let scope = existing ? existing.scope : "";
+    if (!existing && Object.keys(accounts).length) {
+      scope = toAccountScope(account.key);
+      for (let suffix = 2; scopes.has(scope); suffix += 1) {
+        scope = `${toAccountScope(account.key)}-${suffix}`;
+      }
+    }
+    accounts[account.key] = {
+      key: account.key,
+      label: account.label || account.key,
+      email: account.email || "",
+      accountId: account.accountId || "",
+      workspace: account.workspace === true,
+      scope,
+      lastSeenAt: nowIso()
+    };
+    await setInStorage(STORAGE_KEYS.accounts, accounts);
+    return accounts[account.key];
+  });
+  accountRegistration = run.catch(() => {});
+  return run;
+}
+
+// Asks the tab which account it is signed in to and points the state store,
+// search index, and scoped storage keys at that account. Only a sync passes
+// refresh, which makes the tab re-read its session; other actions take the
+// tab's cached account, or the one used last when the tab cannot detect one
+// (signed out or offline), so they work without reaching ChatGPT.
+async function useTabAccount(tabId, refresh) {
+  const fallback = refresh ? null : await getActiveAccount();
+  let response;
+  try {
+    response = await chrome.tabs.sendMessage(tabId, { type: "get-account", refresh: refresh === true, fallback });
+  } catch (err) {
+    throw new Error("The ChatGPT tab did not respond. Reload it and try again.");
+  }
+  if (!response || !response.ok || !response.account) {
+    throw new Error((response && response.error) || "Unable to detect the ChatGPT account.");
+  }
+  setAccountScope(response.account.scope);
+  await setInStorage(STORAGE_KEYS.activeAccount, response.account.key);
+  return response.account;
+}
+
+async function getActiveAccount() {
+  const [accounts, key] = await Promise.all([
+    getFromStorage(STORAGE_KEYS.accounts, {}),
+    getFromStorage(STORAGE_KEYS.activeAccount, "")
+  ]);
+  return accounts[key] || null;
+}
+
+// Option changes that need a full listing apply to every account.
+async function resetInventories() {
+  const accounts = await getFromStorage(STORAGE_KEYS.accounts, {});
+  const scopes = new Set(["", ...Object.values(accounts).map((account) => account.scope)]);
+  for (const scope of scopes) {
+    await updateSyncSummary(
+      { lastFullInventoryAt: null, inventoryCursor: null, inventoryInProgress: false },
+      scope
+    );
+  }
+}
+
+function getKnownPath(metaMap, id) {
+  const meta = metaMap ? metaMap[id] : null;
+  return meta && meta.path ? meta.path : id;
+}
+
+function getKnownVersions(metaMap, msg) {
+  const meta = metaMap ? metaMap[msg.id] : null;
+  const versions = Array.isArray(msg.versions) ? msg.versions : meta && meta.versions;
+  return Array.isArray(versions) ? { versions } : {};
+}
+
+function getGroupFields(msg) {
+  const fields = {};
+  for (const key of ["project_id", "project_name", "gizmo_id", "gizmo_name"]) {
+    if (typeof msg[key] === "string" && msg[key]) {
+      fields[key] = msg[key];
+    }
+  }
+  return fields;
+}
+
+function getRedactionFields(msg) {
+  return typeof msg.redaction_rules === "string" && msg.redaction_rules
+    ? { redactions: Number(msg.redactions) || 0, redaction_rules: msg.redaction_rules }
+    : {};
+}
+
+// Index entries recovered from the folder's conversation files replace the
+// state of their ids; ids the folder does not know are left alone.
+function applyRestoredMeta(state, restored, dirtyIds) {
+  const at = nowIso();
+  for (const [id, meta] of Object.entries(restored || {})) {
+    if (!id || !meta) {
+      continue;
+    }
+    const updateTime = Number(meta.update_time) || 0;
+    state.conversations[id] = updateTime;
+    state.meta[id] = {
+      id,
+      title: meta.title || "",
+      create_time: meta.create_time || 0,
+      update_time: updateTime,
+      is_archived: meta.is_archived === true,
+      ...getGroupFields(meta),
+      ...getRedactionFields(meta),
+      path: meta.path || id,
+      ...(Array.isArray(meta.versions) ? { versions: meta.versions } : {})
+    };
+    state.lastRun[id] = { status: "restored", update_time: updateTime, at };
+    dirtyIds.add(id);
+  }
+}
+
 function scheduleSync(minutes) {
   chrome.alarms.clear(SYNC_ALARM, () => {
     chrome.alarms.create(SYNC_ALARM, { periodInMinutes: minutes });
   });
 }
 
-async function runSync(reason, preferredTabId) {
+async function findChatgptTab(preferredTabId) {
+  if (preferredTabId) {
+    try {
+      const tab = await chrome.tabs.get(preferredTabId);
+      if (tab && typeof tab.url === "string" && tab.url.startsWith("https://chatgpt.com/")) {
+        return tab.id;
+      }
+    } catch (err) {
+      // Fall back to any open ChatGPT tab.
+    }
+  }
+
+  const tabs = await chrome.tabs.query({ url: "https://chatgpt.com/*" });
+  return tabs.length ? tabs[0].id : null;
+}
+
+function indexSearchMessage(msg) {
+  if (!Array.isArray(msg.search)) {
+    return;
+  }
+  indexSearchDocument({
+    id: msg.id,
+    title: msg.title || "",
+    create_time: msg.create_time || 0,
+    update_time: msg.update_time || 0,
+    messages: msg.search
+  }).catch((err) => {
+    console.warn("Failed to index conversation for search.", err);
+  });
+}
+
+// Either trashes the conversations held back by the deletion guard or keeps
+// their files; both drop them from state, search, and index.json.
+async function resolvePendingDeletion(trash) {
+  if (syncInProgress) {
+    throw new Error("Sync already in progress.");
+  }
+  const tabId = await findChatgptTab(null);
+  if (!tabId) {
+    throw new Error("No ChatGPT tab open");
+  }
+  syncInProgress = true;
+  try {
+    // Only the tab's own account can apply its deletions: the folders are
+    // scoped to it.
+    await useTabAccount(tabId);
+    const pending = await getFromStorage(scopedName(STORAGE_KEYS.pendingDeletion), null);
+    if (!pending || !Array.isArray(pending.entries) || !pending.entries.length) {
+      throw new Error("No deletions are waiting for confirmation for this account.");
+    }
+    const options = await getOptions();
+    const response = await chrome.tabs.sendMessage(tabId, {
+      type: "apply-removals",
+      entries: pending.entries,
+      trash,
+      options
+    });
+    if (!response || !response.ok) {
+      throw new Error((response && response.error) || "The ChatGPT tab did not respond.");
+    }
+
+    const ids = pending.entries.map((entry) => entry.id);
+    const state = await getSyncState();
+    for (const id of ids) {
+      delete state.conversations[id];
+      delete state.meta[id];
+      delete state.lastRun[id];
+    }
+    await setSyncState(state, null, ids);
+    await removeSearchDocuments(ids).catch(() => {});
+    await setInStorage(scopedName(STORAGE_KEYS.pendingDeletion), null);
+    return { removed: response.removed, failed: response.failed };
+  } finally {
+    syncInProgress = false;
+  }
+}
+
+// Recovers the sync state from the main folder's conversation files (and
+// rewrites its index.json), then starts a sync that only fetches what changed
+// since those files were written.
+async function rebuildFromFolder() {
+  if (syncInProgress) {
+    throw new Error("Sync already in progress.");
+  }
+  const tabId = await findChatgptTab(null);
+  if (!tabId) {
+    throw new Error("No ChatGPT tab open");
+  }
+  syncInProgress = true;
+  let restored = 0;
+  let failed = 0;
+  try {
+    await useTabAccount(tabId);
+    const options = await getOptions();
+    const response = await chrome.tabs.sendMessage(tabId, { type: "rebuild-from-folder", options });
+    if (!response || !response.ok) {
+      throw new Error((response && response.error) || "The ChatGPT tab did not respond.");
+    }
+    const state = await getSyncState();
+    const dirtyIds = new Set();
+    applyRestoredMeta(state, response.meta, dirtyIds);
+    restored = dirtyIds.size;
+    failed = response.failed || 0;
+    await setSyncState(state, dirtyIds);
+  } finally {
+    syncInProgress = false;
+  }
+  runSync("rebuild", tabId);
+  return { restored, failed };
+}
+
+// The ChatGPT tab walks the folders; the last report is kept per account so
+// the options page can show it after a reload. With `repair`, every chat with
+// a missing, corrupted, or stale file is refetched right away.
+async function verifyArchive(repair) {
+  if (syncInProgress) {
+    throw new Error("Sync already in progress.");
+  }
+  const tabId = await findChatgptTab(null);
+  if (!tabId) {
+    throw new Error("No ChatGPT tab open");
+  }
+  syncInProgress = true;
+  let report;
+  try {
+    await useTabAccount(tabId);
+    const options = await getOptions();
+    const response = await chrome.tabs.sendMessage(tabId, { type: "verify-archive", options });
+    if (!response || !response.ok) {
+      throw new Error((response && response.error) || "The ChatGPT tab did not respond.");
+    }
+    report = response.report;
+  } finally {
+    syncInProgress = false;
+  }
+  const queued = repair && report.ids.length > 0 ? report.ids.length : 0;
+  await setInStorage(scopedName(STORAGE_KEYS.archiveVerify), { ...report, checkedAt: nowIso(), queued });
+  if (queued) {
+    runSync("manual-conversations", tabId, report.ids);
+  }
+  return { queued };
+}
+
+// The key is derived and kept by the ChatGPT tab, next to the folder handles;
+// the passphrase only passes through.
+async function setEncryptionPassphrase(passphrase, replace) {
+  if (syncInProgress) {
+    throw new Error("Sync already in progress.");
+  }
+  const tabId = await findChatgptTab(null);
+  if (!tabId) {
+    throw new Error("No ChatGPT tab open");
+  }
+  syncInProgress = true;
+  try {
+    await useTabAccount(tabId);
+    const response = await chrome.tabs.sendMessage(tabId, {
+      type: "set-encryption-passphrase",
+      passphrase,
+      replace
+    });
+    if (!response || !response.ok) {
+      throw new Error((response && response.error) || "The ChatGPT tab did not respond.");
+    }
+    return { keyId: response.keyId };
+  } finally {
+    syncInProgress = false;
+  }
+}
+
+// An import sends many batches. It holds the sync lock from import-start to
+// import-finish, so no sync, alarm, or other action runs between batches. A
+// page closed mid-import releases it once no batch arrived for
+// SYNC_INACTIVITY_MS.
+async function startImport() {
+  if (syncInProgress) {
+    throw new Error("Sync already in progress.");
+  }
+  const tabId = await findChatgptTab(null);
+  if (!tabId) {
+    throw new Error("No ChatGPT tab open");
+  }
+  syncInProgress = true;
+  importLocked = true;
+  holdImportLock();
+}
+
+function holdImportLock() {
+  clearTimeout(importLockTimer);
+  importLockTimer = setTimeout(finishImport, SYNC_INACTIVITY_MS);
+}
+
+function finishImport() {
+  if (!importLocked) {
+    return;
+  }
+  clearTimeout(importLockTimer);
+  importLockTimer = null;
+  importLocked = false;
+  syncInProgress = false;
+}
+
+// Relays one batch of an imported data export to the ChatGPT tab and merges
+// whatever it wrote into the sync state and search index.
+async function importConversationBatch(conversations, media) {
+  if (!importLocked) {
+    throw new Error("The import was interrupted. Start it again.");
+  }
+  // The timer only runs between batches, so a slow batch never loses the lock.
+  clearTimeout(importLockTimer);
+  try {
+    const tabId = await findChatgptTab(null);
+    if (!tabId) {
+      throw new Error("No ChatGPT tab open");
+    }
+    await useTabAccount(tabId);
+    const options = await getOptions();
+    const state = await getSyncState();
+    const knownConversations = {};
+    const knownMeta = {};
+    for (const conversation of conversations) {
+      const id = conversation && (conversation.id || conversation.conversation_id);
+      if (id && state.meta[id]) {
+        knownConversations[id] = state.conversations[id] || 0;
+        knownMeta[id] = state.meta[id];
+      }
+    }
+    const response = await chrome.tabs.sendMessage(tabId, {
+      type: "import-conversations",
+      conversations,
+      media,
+      options,
+      knownConversations,
+      knownMeta
+    });
+    if (!response || !response.ok) {
+      throw new Error((response && response.error) || "The ChatGPT tab did not respond.");
+    }
+
+    const dirtyIds = new Set();
+    for (const result of response.results || []) {
+      if (result.status !== "added" && result.status !== "backfilled") {
+        continue;
+      }
+      state.conversations[result.id] = result.update_time || 0;
+      state.meta[result.id] = {
+        id: result.id,
+        title: result.title || "",
+        create_time: result.create_time || 0,
+        update_time: result.update_time || 0,
+        is_archived: result.is_archived === true,
+        ...getGroupFields(result),
+        ...getRedactionFields(result),
+        path: result.path || getKnownPath(state.meta, result.id),
+        ...getKnownVersions(state.meta, result)
+      };
+      state.lastRun[result.id] = {
+        status: "imported",
+        update_time: result.update_time || 0,
+        at: nowIso()
+      };
+      dirtyIds.add(result.id);
+      indexSearchMessage(result);
+    }
+    await setSyncState(state, dirtyIds);
+    return (response.results || []).map(({ search, ...result }) => result);
+  } finally {
+    if (importLocked) {
+      holdImportLock();
+    }
+  }
+}
+
+async function rebuildSearchIndex(preferredTabId) {
+  if (searchRebuildInProgress) {
+    return;
+  }
+  searchRebuildInProgress = true;
+  const startedAt = nowIso();
+  await setInStorage(STORAGE_KEYS.searchIndexStatus, {
+    startedAt,
+    finishedAt: null,
+    processed: 0,
+    total: 0,
+    error: null
+  });
+
+  try {
+    const tabId = await findChatgptTab(preferredTabId);
+    if (!tabId) {
+      throw new Error("No ChatGPT tab open");
+    }
+    await useTabAccount(tabId);
+    await new Promise((resolve, reject) => {
+      const port = chrome.tabs.connect(tabId, { name: "search-rebuild" });
+      let processed = 0;
+      let total = 0;
+      let settled = false;
+      const pending = [];
+
+      port.onDisconnect.addListener(() => {
+        if (!settled) {
+          settled = true;
+          reject(new Error("Search rebuild interrupted"));
+        }
+      });
+
+      port.onMessage.addListener((msg) => {
+        if (!msg || !msg.type) {
+          return;
+        }
+        if (msg.type === "search-document") {
+          processed += 1;
+          total = msg.total || total;
+          pending.push(
+            indexSearchDocument(msg.document).catch((err) => {
+              console.warn("Failed to index conversation for search.", err);
+            })
+          );
+          if (processed % 25 === 0) {
+            setInStorage(STORAGE_KEYS.searchIndexStatus, {
+              startedAt,
+              finishedAt: null,
+              processed,
+              total,
+              error: null
+            });
+          }
+        }
+        if (msg.type === "search-rebuild-complete" || msg.type === "search-rebuild-error") {
+          settled = true;
+          port.disconnect();
+          Promise.all(pending).then(() => {
+            if (msg.type === "search-rebuild-error") {
+              reject(new Error(msg.error || "Search rebuild failed"));
+              return;
+            }
+            setInStorage(STORAGE_KEYS.searchIndexStatus, {
+              startedAt,
+              finishedAt: nowIso(),
+              processed,
+              total: msg.total || total,
+              skipped: msg.skipped || 0,
+              error: null
+            }).then(resolve, reject);
+          });
+        }
+      });
+
+      port.postMessage({ type: "start-search-rebuild" });
+    });
+  } catch (err) {
+    await setInStorage(STORAGE_KEYS.searchIndexStatus, {
+      startedAt,
+      finishedAt: nowIso(),
+      processed: 0,
+      total: 0,
+      error: err.message
+    });
+  } finally {
+    searchRebuildInProgress = false;
+  }
+}
+
+async function runSync(reason, preferredTabId, targetIds) {
   if (syncInProgress) {
     return;
   }
@@ -117,29 +828,13 @@ async function runSync(reason, preferredTabId) {
     lastSyncStartedAt: nowIso(),
     lastSyncReason: reason,
     lastError: null,
+    paused: false,
+    cancelRequested: false,
     progress: null
   });
 
   try {
-    let tabId = null;
-    if (preferredTabId) {
-      try {
-        const tab = await chrome.tabs.get(preferredTabId);
-        if (tab && typeof tab.url === "string" && tab.url.startsWith("https://chatgpt.com/")) {
-          tabId = tab.id;
-        }
-      } catch (err) {
-        tabId = null;
-      }
-    }
-
-    if (!tabId) {
-      const tabs = await chrome.tabs.query({ url: "https://chatgpt.com/*" });
-      if (tabs.length) {
-        tabId = tabs[0].id;
-      }
-    }
-
+    const tabId = await findChatgptTab(preferredTabId);
     if (!tabId) {
       await setStatus({
         lastError: "No ChatGPT tab open",
@@ -148,6 +843,8 @@ async function runSync(reason, preferredTabId) {
       });
       return;
     }
+    const account = await useTabAccount(tabId, true);
+    await setStatus({ lastSyncAccount: account.label });
     const syncState = await getSyncState();
     const knownConversations = syncState.conversations || {};
     const knownMeta = syncState.meta || {};
@@ -165,14 +862,17 @@ async function runSync(reason, preferredTabId) {
       inventoryInProgress: syncState.inventoryInProgress === true
     };
     const currentIds = new Set();
+    const dirtyIds = new Set();
     let updatedCount = 0;
     let skippedCount = 0;
+    let excludedCount = 0;
     let errorCount = 0;
     let totalCount = 0;
 
     const syncPromise = new Promise((resolve, reject) => {
       const port = chrome.tabs.connect(tabId, { name: "sync" });
       let fullInventoryMode = false;
+      let targetedMode = false;
       let checkpointCount = 0;
       let lastCheckpointAt = Date.now();
       const CHECKPOINT_MIN_MESSAGES = 50;
@@ -189,23 +889,75 @@ async function runSync(reason, preferredTabId) {
         }
         checkpointCount = 0;
         lastCheckpointAt = now;
-        setSyncState({ ...nextState }).catch(() => {});
+        setSyncState(nextState, dirtyIds).catch(() => {});
       };
 
-      const timeout = setTimeout(() => {
+      let startedAt = Date.now();
+      const maxRunMs = options.maxRunMinutes > 0 ? options.maxRunMinutes * 60 * 1000 : 0;
+      let lastActivityAt = startedAt;
+      let pausedAt = 0;
+      let cancelRequested = false;
+
+      activeSyncControl = (action) => {
+        if (action === "pause" && !pausedAt && !cancelRequested) {
+          pausedAt = Date.now();
+        } else if ((action === "resume" || action === "cancel") && pausedAt) {
+          // Time spent paused does not count towards the run limit or the
+          // inactivity watchdog.
+          startedAt += Date.now() - pausedAt;
+          lastActivityAt = Date.now();
+          pausedAt = 0;
+        }
+        if (action === "cancel") {
+          cancelRequested = true;
+        }
+        setStatus({ paused: pausedAt > 0, cancelRequested }).catch(() => {});
+        try {
+          port.postMessage({ type: "sync-control", action });
+        } catch (err) {
+          // The run already ended; nothing left to control.
+        }
+      };
+
+      const stopRun = (error) => {
+        clearInterval(watchdog);
+        maybeCheckpoint(true);
         port.disconnect();
-        reject(new Error("Sync timed out"));
-      }, 5 * 60 * 1000);
+        reject(error);
+      };
+
+      // The tick also keeps the service worker alive: extension API calls reset
+      // its idle timer, which would otherwise end long runs with a quiet port.
+      const watchdog = setInterval(() => {
+        chrome.runtime.getPlatformInfo().catch(() => {});
+        const now = Date.now();
+        if (pausedAt) {
+          return;
+        }
+        if (now - lastActivityAt > SYNC_INACTIVITY_MS) {
+          stopRun(new Error("Sync stalled: no progress for 3 minutes."));
+        } else if (maxRunMs && now - startedAt > maxRunMs) {
+          stopRun(
+            new Error(
+              `Sync stopped after the ${options.maxRunMinutes}-minute run limit. The next run resumes where it left off.`
+            )
+          );
+        }
+      }, SYNC_WATCHDOG_INTERVAL_MS);
 
       port.onDisconnect.addListener(() => {
-        clearTimeout(timeout);
-        setSyncState({ ...nextState }).catch(() => {});
+        clearInterval(watchdog);
+        setSyncState(nextState, dirtyIds).catch(() => {});
+        reject(new Error("The ChatGPT tab closed or reloaded during sync."));
       });
 
       port.onMessage.addListener((msg) => {
         if (!msg || !msg.type) {
           return;
         }
+        // Every message counts, including sync-heartbeat, which exists only
+        // for this.
+        lastActivityAt = Date.now();
 
         if (msg.type === "sync-progress") {
           totalCount = msg.total || totalCount;
@@ -220,6 +972,7 @@ async function runSync(reason, preferredTabId) {
             nextState.inventoryCursor = {
               offset: msg.cursor.offset || 0,
               limit: msg.cursor.limit || null,
+              archived: msg.cursor.archived === true,
               updatedAt: nowIso()
             };
             nextState.inventoryInProgress = true;
@@ -242,20 +995,41 @@ async function runSync(reason, preferredTabId) {
             id: msg.id,
             title: msg.title || "",
             create_time: msg.create_time || 0,
-            update_time: nextTime
-          };
-          nextState.lastRun[msg.id] = {
-            status: "updated",
             update_time: nextTime,
-            at: nowIso()
+            is_archived: msg.is_archived === true,
+            ...getGroupFields(msg),
+            ...getRedactionFields(msg),
+            path: msg.path || getKnownPath(nextState.meta, msg.id),
+            ...getKnownVersions(nextState.meta, msg)
           };
+          dirtyIds.add(msg.id);
+          // Missing attachments leave update_time where it was, and the
+          // error status lets Retry failed pick the conversation up too.
+          nextState.lastRun[msg.id] = msg.missing_attachments
+            ? {
+                status: "error",
+                update_time: nextTime,
+                at: nowIso(),
+                error: `${msg.missing_attachments} attachment(s) failed to download; retrying on the next run`
+              }
+            : {
+                status: "updated",
+                update_time: nextTime,
+                at: nowIso()
+              };
           indexMap.set(msg.id, {
             id: msg.id,
             title: msg.title || "",
             create_time: msg.create_time || 0,
-            update_time: msg.update_time || 0
+            update_time: msg.update_time || 0,
+            path: msg.path || getKnownPath(nextState.meta, msg.id)
           });
-          updatedCount += 1;
+          indexSearchMessage(msg);
+          if (msg.missing_attachments) {
+            errorCount += 1;
+          } else {
+            updatedCount += 1;
+          }
           checkpointCount += 1;
           maybeCheckpoint(false);
         }
@@ -274,8 +1048,14 @@ async function runSync(reason, preferredTabId) {
             id: msg.id,
             title: msg.title || "",
             create_time: msg.create_time || 0,
-            update_time: nextTime
+            update_time: nextTime,
+            is_archived: msg.is_archived === true,
+            ...getGroupFields(msg),
+            ...getRedactionFields(msg),
+            path: msg.path || getKnownPath(nextState.meta, msg.id),
+            ...getKnownVersions(nextState.meta, msg)
           };
+          dirtyIds.add(msg.id);
           nextState.lastRun[msg.id] = {
             status: "unchanged",
             update_time: nextTime,
@@ -285,16 +1065,40 @@ async function runSync(reason, preferredTabId) {
             id: msg.id,
             title: msg.title || "",
             create_time: msg.create_time || 0,
-            update_time: msg.update_time || 0
+            update_time: msg.update_time || 0,
+            path: msg.path || getKnownPath(nextState.meta, msg.id)
           });
           skippedCount += 1;
           checkpointCount += 1;
           maybeCheckpoint(false);
         }
 
+        // Excluded chats stay in state (so they never count as removed) but
+        // keep their last synced update_time, if any, so that lifting the
+        // rule syncs them on the next run.
+        if (msg.type === "conversation-excluded") {
+          currentIds.add(msg.id);
+          const existingRaw = nextState.conversations[msg.id];
+          nextState.conversations[msg.id] = Number.isFinite(existingRaw) ? existingRaw : 0;
+          nextState.lastRun[msg.id] = {
+            status: "excluded",
+            update_time: nextState.conversations[msg.id],
+            at: nowIso(),
+            reason: msg.reason || "",
+            title: msg.title || "",
+            create_time: msg.create_time || 0,
+            is_archived: msg.is_archived === true
+          };
+          dirtyIds.add(msg.id);
+          excludedCount += 1;
+          checkpointCount += 1;
+          maybeCheckpoint(false);
+        }
+
         if (msg.type === "conversation-error") {
           if (msg.id) {
             currentIds.add(msg.id);
+            dirtyIds.add(msg.id);
             nextState.lastRun[msg.id] = {
               status: "error",
               update_time: nextState.conversations[msg.id] || 0,
@@ -309,10 +1113,14 @@ async function runSync(reason, preferredTabId) {
 
         if (msg.type === "sync-mode") {
           fullInventoryMode = msg.fullInventory === true;
-          if (fullInventoryMode) {
+          targetedMode = msg.targeted === true;
+          if (targetedMode) {
+            // Leave any resumable inventory cursor untouched.
+          } else if (fullInventoryMode) {
             nextState.inventoryCursor = {
               offset: msg.resumeOffset || 0,
               limit: msg.limit || null,
+              archived: msg.resumeArchived === true,
               updatedAt: nowIso()
             };
             nextState.inventoryInProgress = true;
@@ -324,20 +1132,25 @@ async function runSync(reason, preferredTabId) {
         }
 
 
+        if (msg.type === "state-rebuilt") {
+          applyRestoredMeta(nextState, msg.meta, dirtyIds);
+          maybeCheckpoint(true);
+        }
+
         if (msg.type === "sync-requires-folder") {
-          clearTimeout(timeout);
+          clearInterval(watchdog);
           port.disconnect();
           reject(new Error("Select a sync folder in the ChatGPT tab."));
         }
 
         if (msg.type === "sync-permission-required") {
-          clearTimeout(timeout);
+          clearInterval(watchdog);
           port.disconnect();
           reject(new Error("Folder permission required. Re-grant access in the ChatGPT tab."));
         }
 
         if (msg.type === "sync-complete") {
-          clearTimeout(timeout);
+          clearInterval(watchdog);
           port.disconnect();
 
           if (msg.total) {
@@ -355,7 +1168,28 @@ async function runSync(reason, preferredTabId) {
           if (Number.isFinite(msg.skipped)) {
             skippedCount = msg.skipped;
           }
-          if (msg.fullInventory) {
+          if (Number.isFinite(msg.excluded)) {
+            excludedCount = msg.excluded;
+          }
+          let removedIds = [];
+          // Only an inventory that listed from the first page shows which
+          // chats are gone; a resumed one completes without pruning.
+          if (msg.completeListing) {
+            const pending = msg.pendingDeletion;
+            if (pending && Array.isArray(pending.entries) && pending.entries.length) {
+              // Held back by the deletion guard: keep their state until the
+              // user decides in the options page.
+              for (const entry of pending.entries) {
+                currentIds.add(entry.id);
+              }
+              setInStorage(scopedName(STORAGE_KEYS.pendingDeletion), {
+                detectedAt: nowIso(),
+                known: pending.known || 0,
+                entries: pending.entries
+              }).catch(() => {});
+            } else {
+              setInStorage(scopedName(STORAGE_KEYS.pendingDeletion), null).catch(() => {});
+            }
             const prunedConversations = {};
             const prunedMeta = {};
             const prunedLastRun = {};
@@ -370,25 +1204,37 @@ async function runSync(reason, preferredTabId) {
                 prunedLastRun[id] = nextState.lastRun[id];
               }
             }
+            removedIds = Array.from(
+              new Set([
+                ...Object.keys(nextState.conversations),
+                ...Object.keys(nextState.meta),
+                ...Object.keys(nextState.lastRun)
+              ])
+            ).filter((id) => !currentIds.has(id));
+            removeSearchDocuments(removedIds).catch(() => {});
             nextState.conversations = prunedConversations;
             nextState.meta = prunedMeta;
             nextState.lastRun = prunedLastRun;
+          }
+          if (msg.fullInventory) {
             nextState.lastFullInventoryAt = nowIso();
             nextState.inventoryCursor = null;
             nextState.inventoryInProgress = false;
           } else if (fullInventoryMode) {
             nextState.inventoryInProgress = true;
-          } else {
+          } else if (!targetedMode) {
             nextState.inventoryCursor = null;
             nextState.inventoryInProgress = false;
           }
 
-          setSyncState(nextState).then(() => {
+          setSyncState(nextState, dirtyIds, removedIds).then(() => {
             setStatus({
               lastSyncFinishedAt: nowIso(),
+              lastSyncResult: "completed",
               lastSyncSummary: {
                 updated: updatedCount,
                 skipped: skippedCount,
+                excluded: excludedCount,
                 errors: errorCount,
                 total: totalCount || indexMap.size
               },
@@ -397,8 +1243,45 @@ async function runSync(reason, preferredTabId) {
           });
         }
 
+        if (msg.type === "sync-cancelled") {
+          clearInterval(watchdog);
+          port.disconnect();
+          if (Number.isFinite(msg.errors)) {
+            errorCount = msg.errors;
+          }
+          if (Number.isFinite(msg.updated)) {
+            updatedCount = msg.updated;
+          }
+          if (Number.isFinite(msg.skipped)) {
+            skippedCount = msg.skipped;
+          }
+          if (Number.isFinite(msg.excluded)) {
+            excludedCount = msg.excluded;
+          }
+          // The cursor already points after the last fully processed page, so
+          // a cancelled full inventory resumes from there.
+          if (!fullInventoryMode && !targetedMode) {
+            nextState.inventoryCursor = null;
+            nextState.inventoryInProgress = false;
+          }
+          setSyncState(nextState, dirtyIds).then(() => {
+            setStatus({
+              lastSyncFinishedAt: nowIso(),
+              lastSyncResult: "cancelled",
+              lastSyncSummary: {
+                updated: updatedCount,
+                skipped: skippedCount,
+                excluded: excludedCount,
+                errors: errorCount,
+                total: msg.total || updatedCount + skippedCount + errorCount
+              },
+              progress: null
+            }).then(resolve);
+          });
+        }
+
         if (msg.type === "sync-error") {
-          clearTimeout(timeout);
+          clearInterval(watchdog);
           port.disconnect();
           reject(new Error(msg.error || "Sync error"));
         }
@@ -410,20 +1293,31 @@ async function runSync(reason, preferredTabId) {
         knownConversations,
         knownMeta,
         lastFullInventoryAt,
-        inventoryCursor
+        inventoryCursor,
+        targetIds: Array.isArray(targetIds) && targetIds.length ? targetIds : null
       });
     });
 
     await syncPromise;
   } catch (err) {
-    await setStatus({ lastError: err.message, lastSyncFinishedAt: nowIso(), progress: null });
+    await setStatus({
+      lastError: err.message,
+      lastSyncFinishedAt: nowIso(),
+      lastSyncResult: "error",
+      progress: null
+    });
   } finally {
+    activeSyncControl = null;
+    await setStatus({ paused: false, cancelRequested: false });
     syncInProgress = false;
   }
 }
 
 chrome.runtime.onInstalled.addListener(async () => {
   await ensureDefaults();
+  await migrateLegacySyncState().catch((err) => {
+    console.warn("Failed to migrate sync state.", err);
+  });
   const options = await getOptions();
   scheduleSync(options.syncIntervalMinutes);
 });
@@ -444,6 +1338,20 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     const preferredTabId = sender && sender.tab ? sender.tab.id : null;
     runSync("manual", preferredTabId);
     sendResponse({ ok: true });
+    return false;
+  }
+
+  if (message && message.type === "sync-control") {
+    if (!["pause", "resume", "cancel"].includes(message.action)) {
+      sendResponse({ ok: false, error: "Unknown sync control." });
+      return false;
+    }
+    if (!activeSyncControl) {
+      sendResponse({ ok: false, error: "No sync is running." });
+      return false;
+    }
+    activeSyncControl(message.action);
+    sendResponse({ ok: true });
   }
 
   if (message && message.type === "open-options") {
@@ -452,10 +1360,24 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 
   if (message && message.type === "update-options") {
-    const normalized = normalizeOptions(message.options || {});
-    setInStorage(STORAGE_KEYS.options, normalized).then(() => {
+    (async () => {
+      const previous = await getOptions();
+      const normalized = normalizeOptions(message.options || {});
+      await setInStorage(STORAGE_KEYS.options, normalized);
+      if (
+        getLayoutKey(previous) !== getLayoutKey(normalized) ||
+        getRulesKey(previous) !== getRulesKey(normalized) ||
+        getRedactionKey(previous) !== getRedactionKey(normalized)
+      ) {
+        // Files have to be relocated or redacted again, a new destination
+        // filled from scratch, or chats let back in by the rules fetched, so
+        // list everything.
+        await resetInventories();
+      }
       scheduleSync(normalized.syncIntervalMinutes);
       sendResponse({ ok: true });
+    })().catch((err) => {
+      sendResponse({ ok: false, error: err.message || "Unable to save options." });
     });
     return true;
   }
@@ -466,16 +1388,19 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         sendResponse({ ok: false, error: "Sync already in progress." });
         return;
       }
-      const current = await getSyncState();
-      const next = {
-        ...current,
+      const preferredTabId = sender && sender.tab ? sender.tab.id : null;
+      const tabId = await findChatgptTab(preferredTabId);
+      if (!tabId) {
+        sendResponse({ ok: false, error: "No ChatGPT tab open" });
+        return;
+      }
+      await useTabAccount(tabId);
+      await updateSyncSummary({
         lastFullInventoryAt: null,
         inventoryCursor: null,
         inventoryInProgress: false
-      };
-      await setSyncState(next);
-      const preferredTabId = sender && sender.tab ? sender.tab.id : null;
-      runSync("manual-full-inventory", preferredTabId);
+      });
+      runSync("manual-full-inventory", tabId);
       sendResponse({ ok: true });
     })().catch((err) => {
       sendResponse({ ok: false, error: err.message || "Unable to restart inventory." });
@@ -483,14 +1408,141 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message && message.type === "sync-conversations") {
+    const ids = Array.isArray(message.ids)
+      ? message.ids.filter((id) => typeof id === "string" && id)
+      : [];
+    if (!ids.length) {
+      sendResponse({ ok: false, error: "No conversations selected." });
+      return false;
+    }
+    if (syncInProgress) {
+      sendResponse({ ok: false, error: "Sync already in progress." });
+      return false;
+    }
+    const preferredTabId = sender && sender.tab ? sender.tab.id : null;
+    runSync("manual-conversations", preferredTabId, ids);
+    sendResponse({ ok: true });
+    return false;
+  }
+
+  if (message && message.type === "read-local-file") {
+    (async () => {
+      const tabId = await findChatgptTab(null);
+      if (!tabId) {
+        sendResponse({ ok: false, error: "No ChatGPT tab open" });
+        return;
+      }
+      chrome.tabs.sendMessage(
+        tabId,
+        { type: "read-local-file", path: message.path },
+        (response) => {
+          if (chrome.runtime.lastError || !response) {
+            sendResponse({ ok: false, error: "The ChatGPT tab did not respond." });
+            return;
+          }
+          sendResponse(response);
+        }
+      );
+    })().catch((err) => {
+      sendResponse({ ok: false, error: err.message || "Unable to read the file." });
+    });
+    return true;
+  }
+
+  if (message && message.type === "resolve-pending-deletion") {
+    resolvePendingDeletion(message.action === "trash")
+      .then((result) => sendResponse({ ok: true, ...result }))
+      .catch((err) => {
+        sendResponse({ ok: false, error: err.message || "Unable to apply deletions." });
+      });
+    return true;
+  }
+
+  if (message && message.type === "rebuild-from-folder") {
+    rebuildFromFolder()
+      .then((result) => sendResponse({ ok: true, ...result }))
+      .catch((err) => {
+        sendResponse({ ok: false, error: err.message || "Unable to rebuild from the folder." });
+      });
+    return true;
+  }
+
+  if (message && message.type === "verify-archive") {
+    verifyArchive(message.repair === true)
+      .then((result) => sendResponse({ ok: true, ...result }))
+      .catch((err) => {
+        sendResponse({ ok: false, error: err.message || "Unable to verify the archive." });
+      });
+    return true;
+  }
+
+  if (message && message.type === "set-encryption-passphrase") {
+    setEncryptionPassphrase(String(message.passphrase || ""), message.replace === true)
+      .then((result) => sendResponse({ ok: true, ...result }))
+      .catch((err) => {
+        sendResponse({ ok: false, error: err.message || "Unable to set the passphrase." });
+      });
+    return true;
+  }
+
+  if (message && message.type === "import-start") {
+    startImport()
+      .then(() => sendResponse({ ok: true }))
+      .catch((err) => {
+        sendResponse({ ok: false, error: err.message || "Unable to start the import." });
+      });
+    return true;
+  }
+
+  if (message && message.type === "import-finish") {
+    finishImport();
+    sendResponse({ ok: true });
+    return false;
+  }
+
+  if (message && message.type === "import-conversations") {
+    const conversations = Array.isArray(message.conversations) ? message.conversations : [];
+    importConversationBatch(conversations, message.media || {})
+      .then((results) => sendResponse({ ok: true, results }))
+      .catch((err) => {
+        sendResponse({ ok: false, error: err.message || "Unable to import conversations." });
+      });
+    return true;
+  }
+
+  if (message && message.type === "rebuild-search-index") {
+    if (searchRebuildInProgress) {
+      sendResponse({ ok: false, error: "Search index rebuild already running." });
+      return false;
+    }
+    if (syncInProgress) {
+      sendResponse({ ok: false, error: "Wait for the running sync to finish." });
+      return false;
+    }
+    const preferredTabId = sender && sender.tab ? sender.tab.id : null;
+    rebuildSearchIndex(preferredTabId);
+    sendResponse({ ok: true });
+    return false;
+  }
+
   if (message && message.type === "get-status") {
-    Promise.all([getOptions(), getFromStorage(STORAGE_KEYS.status, {})]).then(
-      ([options, status]) => {
-        sendResponse({ ok: true, options, status });
+    Promise.all([getOptions(), getFromStorage(STORAGE_KEYS.status, {}), getActiveAccount()]).then(
+      ([options, status, account]) => {
+        sendResponse({ ok: true, options, status, account });
       }
     );
     return true;
   }
 
+  if (message && message.type === "register-account") {
+    registerAccount(message.account)
+      .then((account) => sendResponse({ ok: true, account }))
+      .catch((err) => {
+        sendResponse({ ok: false, error: err.message || "Unable to register the account." });
+      });
+    return true;
+  }
+
   return false;
 });
@@ -1,17 +1,58 @@
 const DB_NAME = "chatgpt-local-sync";
 const STORE_NAME = "handles";
 const HANDLE_KEY = "root";
+const PRIMARY_DESTINATION_ID = "root";
 const PROGRESS_THROTTLE_MS = 500;
+const SYNC_HEARTBEAT_MS = 15000;
 const MAX_PARTIAL_AGE_MS = 24 * 60 * 60 * 1000;
-
-let cachedHandle = null;
+const DEFAULT_PATH_TEMPLATE = "{id}";
+const CONVERSATION_SUBFOLDERS = ["attachments", "history"];
+const CONVERSATION_FILE_EXTENSIONS = ["json", "md", "html"];
+const TRASH_FOLDER = ".trash";
+const REQUEST_MAX_ATTEMPTS = 5;
+const REQUEST_BASE_DELAY_MS = 1000;
+const REQUEST_MAX_DELAY_MS = 60000;
+const REQUEST_BUCKET_CAPACITY = 4;
+const REQUEST_BUCKET_RATE = 2;
+const REQUEST_RECOVERY_SUCCESSES = 20;
+const GROUP_NAMES_KEY = "groupNames";
+const GROUP_NAME_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const GROUP_NAME_RETRY_MS = 60 * 60 * 1000;
+const GROUP_META_FIELDS = ["project_id", "project_name", "gizmo_id", "gizmo_name"];
+const ENCRYPTION_KEY_NAME = "encryptionKey";
+const ENCRYPTION_SETTINGS_KEY = "encryptionSettings";
+const INTEGRITY_FILE = "manifest.json";
+const INDEX_JOURNAL_FOLDER = ".index-journal";
+const INTEGRITY_JOURNAL_FOLDER = ".manifest-journal";
+const TEMP_FILE_SUFFIX = ".partial";
+const VERIFY_PREVIEW_LIMIT = 200;
+
+const cachedHandles = new Map();
 let syncInProgress = false;
+let activeSyncPort = null;
+let syncStopRequested = false;
+let syncCancelRequested = false;
+let syncPaused = false;
+let pauseWaiters = [];
 let lastProgressSentAt = 0;
+let lastHeartbeatAt = 0;
 let uiState = null;
 let cachedAccessToken = null;
 let cachedAccessTokenAt = 0;
 let cachedGlobalStatus = null;
 let folderAccessState = "unknown";
+let cachedStoredOptions = null;
+let cachedDestinationStatus = {};
+let accessTokenRefresh = null;
+let requestLimiter = createRequestLimiter(3, null);
+let groupNameCache = null;
+let cachedSession = null;
+let activeAccount = null;
+let accountLookup = null;
+let requestAccountId = "";
+let fileEncryption = null;
+const groupNameLookups = new Map();
+const integrityManifests = new Map();
 
 function escapeYaml(value) {
   return String(value).replace(/"/g, "\\\"").replace(/\n/g, " ");
@@ -73,17 +114,18 @@ function shouldForceFullInventory(options, knownConversations, lastFullInventory
   return Date.now() - lastFull > MAX_PARTIAL_AGE_MS;
 }
 
-function getResumeOffset(inventoryCursor) {
+function getResumeCursor(inventoryCursor) {
+  const start = { offset: 0, archived: false };
   if (!inventoryCursor || !Number.isFinite(inventoryCursor.offset)) {
-    return 0;
+    return start;
   }
   if (inventoryCursor.updatedAt) {
     const updatedAt = Date.parse(inventoryCursor.updatedAt);
     if (Number.isFinite(updatedAt) && Date.now() - updatedAt > MAX_PARTIAL_AGE_MS) {
-      return 0;
+      return start;
     }
   }
-  return inventoryCursor.offset;
+  return { offset: inventoryCursor.offset, archived: inventoryCursor.archived === true };
 }
 
 function clampParallelFetch(value) {
@@ -129,7 +171,100 @@ async function runWithConcurrency(tasks, limit) {
   await Promise.allSettled(executing);
 }
 
-function formatPart(part) {
+function escapeMarkdownLabel(value) {
+  return String(value || "").replace(/([\[\]\\])/g, "\\$1");
+}
+
+function encodeMarkdownPath(value) {
+  return String(value)
+    .split("/")
+    .map((segment) => encodeURIComponent(segment))
+    .join("/");
+}
+
+function getAttachmentEntry(context, key) {
+  if (!context || !context.attachments || !key) {
+    return null;
+  }
+  const entry = context.attachments.get(key);
+  return entry && entry.path ? entry : null;
+}
+
+function getAttachmentPath(context, key) {
+  const entry = getAttachmentEntry(context, key);
+  return entry ? entry.link : "";
+}
+
+function getAttachmentName(context, key) {
+  const entry = getAttachmentEntry(context, key);
+  return entry ? entry.name : "";
+}
+
+function rewriteSandboxLinks(text, context) {
+  if (!context || !context.attachments || !text || text.indexOf("sandbox:") === -1) {
+    return text;
+  }
+  return text.replace(/sandbox:(\/[^\s)\]"']+)/g, (match, sandboxPath) => {
+    const localPath = getAttachmentPath(context, `sandbox:${sandboxPath}`);
+    return localPath ? encodeMarkdownPath(localPath) : match;
+  });
+}
+
+function appendUploadLinks(content, message, context) {
+  const uploads = message.metadata && Array.isArray(message.metadata.attachments)
+    ? message.metadata.attachments
+    : [];
+  const embedded = new Set(
+    (message.content && Array.isArray(message.content.parts) ? message.content.parts : [])
+      .map((part) => (part && typeof part.asset_pointer === "string" ? parseAssetPointer(part.asset_pointer) : ""))
+      .filter(Boolean)
+  );
+  const links = [];
+  for (const upload of uploads) {
+    if (!upload || !upload.id || embedded.has(upload.id)) {
+      continue;
+    }
+    const entry = getAttachmentEntry(context, `file:${upload.id}`);
+    if (entry) {
+      links.push(`- [${escapeMarkdownLabel(entry.name)}](${encodeMarkdownPath(entry.link)})`);
+    }
+  }
+  if (!links.length) {
+    return content;
+  }
+  return `${content}${content ? "\n\n" : ""}Attachments:\n${links.join("\n")}`;
+}
+
+function fenceBlock(text, language) {
+  const body = String(text || "").replace(/\n+$/, "");
+  const longest = (body.match(/`{3,}/g) || []).reduce((max, run) => Math.max(max, run.length), 2);
+  const fence = "`".repeat(longest + 1);
+  return `${fence}${language || ""}\n${body}\n${fence}`;
+}
+
+function normalizeCodeLanguage(language) {
+  if (typeof language !== "string" || !language || language === "unknown") {
+    return "";
+  }
+  return language.toLowerCase().replace(/[^a-z0-9_+#-]/g, "");
+}
+
+function formatImagePart(part, context) {
+  const localPath = getAttachmentPath(context, part.asset_pointer);
+  const prompt = part.metadata && part.metadata.dalle && part.metadata.dalle.prompt
+    ? part.metadata.dalle.prompt
+    : "";
+  if (localPath) {
+    const label = prompt || getAttachmentName(context, part.asset_pointer) || "Image";
+    return `![${escapeMarkdownLabel(label)}](${encodeMarkdownPath(localPath)})`;
+  }
+  const fileId = parseAssetPointer(part.asset_pointer) || "image";
+  return prompt ? `*[Image: ${fileId}]* ${prompt}` : `*[Image: ${fileId}]*`;
+}
+
+// Text parts are returned as written; the caller rewrites sandbox links once
+// citations are in place.
+function formatPart(part, context) {
   if (typeof part === "string") {
     return part;
   }
@@ -137,6 +272,9 @@ function formatPart(part) {
     if (typeof part.text === "string") {
       return part.text;
     }
+    if (typeof part.asset_pointer === "string") {
+      return formatImagePart(part, context);
+    }
     if (typeof part.caption === "string") {
       return part.caption;
     }
@@ -145,61 +283,305 @@ function formatPart(part) {
   return String(part);
 }
 
-function renderContent(content) {
+function addFootnote(context, footnotes, source) {
+  const url = source && typeof source.url === "string" ? source.url : "";
+  if (!url) {
+    return "";
+  }
+  const existing = footnotes.find((note) => note.url === url);
+  if (existing) {
+    return existing.label;
+  }
+  context.footnoteCount = (context.footnoteCount || 0) + 1;
+  const label = String(context.footnoteCount);
+  footnotes.push({ label, url, title: source.title || source.attribution || url });
+  return label;
+}
+
+function applyCitations(text, message, context) {
+  const metadata = (message && message.metadata) || {};
+  const references = Array.isArray(metadata.content_references) ? metadata.content_references : [];
+  const citations = Array.isArray(metadata.citations) ? metadata.citations : [];
+  if (!context || (!references.length && !citations.length)) {
+    return text;
+  }
+  const footnotes = [];
+  let output = text;
+
+  if (references.length) {
+    for (const reference of references) {
+      if (!reference || typeof reference.matched_text !== "string" || !reference.matched_text) {
+        continue;
+      }
+      const sources = Array.isArray(reference.items) ? reference.items : [];
+      const labels = sources.map((source) => addFootnote(context, footnotes, source)).filter(Boolean);
+      const replacement = labels.length
+        ? labels.map((label) => `[^${label}]`).join("")
+        : reference.alt || "";
+      output = output.split(reference.matched_text).join(replacement);
+    }
+  } else {
+    const ordered = citations
+      .filter((citation) => Number.isFinite(citation.start_ix) && Number.isFinite(citation.end_ix))
+      .sort((a, b) => b.start_ix - a.start_ix);
+    for (const citation of ordered) {
+      const label = addFootnote(context, footnotes, citation.metadata);
+      const replacement = label ? `[^${label}]` : "";
+      output = output.slice(0, citation.start_ix) + replacement + output.slice(citation.end_ix);
+    }
+    footnotes.sort((a, b) => Number(a.label) - Number(b.label));
+  }
+
+  if (!footnotes.length) {
+    return output;
+  }
+  const definitions = footnotes
+    .map((note) => `[^${note.label}]: [${escapeMarkdownLabel(note.title)}](${note.url})`)
+    .join("\n");
+  return `${output}\n\n${definitions}`;
+}
+
+function renderThoughts(thoughts) {
+  const sections = (Array.isArray(thoughts) ? thoughts : [])
+    .map((thought) => {
+      const summary = thought && thought.summary ? `**${thought.summary}**\n\n` : "";
+      const body = thought && typeof thought.content === "string" ? thought.content.trim() : "";
+      return `${summary}${body}`.trim();
+    })
+    .filter(Boolean);
+  if (!sections.length) {
+    return "";
+  }
+  return `<details>\n<summary>Thoughts</summary>\n\n${sections.join("\n\n")}\n\n</details>`;
+}
+
+function renderAggregateImages(message, context) {
+  const result = message && message.metadata && message.metadata.aggregate_result;
+  const outputs = result && Array.isArray(result.messages) ? result.messages : [];
+  return outputs
+    .filter((output) => output && output.message_type === "image" && output.image_url)
+    .map((output) => formatImagePart({ asset_pointer: output.image_url }, context))
+    .join("\n\n");
+}
+
+function quoteBlock(text) {
+  return String(text || "")
+    .split("\n")
+    .map((line) => `> ${line}`)
+    .join("\n");
+}
+
+function renderContent(content, context, message) {
   if (!content) {
     return "";
   }
+  switch (content.content_type) {
+    case "code":
+      return fenceBlock(content.text, normalizeCodeLanguage(content.language));
+    case "execution_output": {
+      const output = content.text ? `*Output:*\n\n${fenceBlock(content.text, "text")}` : "";
+      const images = renderAggregateImages(message, context);
+      return [output, images].filter(Boolean).join("\n\n");
+    }
+    case "thoughts":
+      return renderThoughts(content.thoughts);
+    case "reasoning_recap":
+      return content.content ? `*${content.content}*` : "";
+    case "tether_browsing_display": {
+      const body = content.summary || content.result || "";
+      return body ? `*Browsing results:*\n\n${quoteBlock(body)}` : "";
+    }
+    case "tether_quote": {
+      const source = content.url
+        ? `\n>\n> — [${escapeMarkdownLabel(content.title || content.domain || content.url)}](${content.url})`
+        : "";
+      return content.text ? `${quoteBlock(content.text)}${source}` : "";
+    }
+    case "system_error":
+      return `**Error${content.name ? ` (${content.name})` : ""}:** ${content.text || ""}`.trim();
+    case "model_editable_context":
+      return content.model_set_context ? `*Memory:*\n\n${quoteBlock(content.model_set_context)}` : "";
+    case "user_editable_context":
+      return [content.user_profile, content.user_instructions]
+        .filter((value) => typeof value === "string" && value.trim())
+        .map((value) => quoteBlock(value.trim()))
+        .join("\n\n");
+    default:
+      break;
+  }
+  // Citation offsets index the original text, so citations go in before
+  // sandbox links are rewritten to (longer or shorter) local paths.
   if (Array.isArray(content.parts)) {
-    return content.parts.map(formatPart).join("\n");
+    const text = content.parts.map((part) => formatPart(part, context)).join("\n");
+    return rewriteSandboxLinks(applyCitations(text, message, context), context);
   }
   if (typeof content.text === "string") {
-    return content.text;
+    return rewriteSandboxLinks(applyCitations(content.text, message, context), context);
   }
   return JSON.stringify(content);
 }
 
-function extractMessages(conversation) {
-  const mapping = conversation.mapping || {};
-  const messages = [];
-  let nodeId = conversation.current_node;
-  const nodes = [];
+function isToolOrSystemMessage(message) {
+  const role = message.author && message.author.role ? message.author.role : "";
+  if (role === "system" || role === "tool") {
+    return true;
+  }
+  const contentType = message.content && message.content.content_type;
+  if (contentType === "model_editable_context" || contentType === "user_editable_context") {
+    return true;
+  }
+  if (message.metadata && message.metadata.is_visually_hidden_from_conversation) {
+    return true;
+  }
+  return role === "assistant" && typeof message.recipient === "string" && message.recipient !== "all";
+}
 
-  while (nodeId) {
+function collectPath(mapping, leafId) {
+  const path = [];
+  const seen = new Set();
+  let nodeId = leafId;
+
+  while (nodeId && !seen.has(nodeId)) {
     const node = mapping[nodeId];
     if (!node) {
       break;
     }
-    nodes.push(node);
+    seen.add(nodeId);
+    path.push(nodeId);
     nodeId = node.parent;
   }
 
-  nodes.reverse();
+  return path.reverse();
+}
 
-  for (const node of nodes) {
-    const message = node.message;
-    if (!message || !message.content) {
-      continue;
-    }
-    const role = message.author && message.author.role ? message.author.role : "unknown";
-    const content = renderContent(message.content).trim();
-    if (!content) {
-      continue;
+function findLeafIds(mapping) {
+  return Object.keys(mapping).filter((id) => {
+    const node = mapping[id];
+    return node && (!Array.isArray(node.children) || node.children.length === 0);
+  });
+}
+
+function getNodeTime(node) {
+  const message = node && node.message;
+  return message ? toEpochSeconds(message.create_time) : 0;
+}
+
+function toMessageEntry(node, branch, active, parentId, context) {
+  const message = node.message;
+  if (!message || !message.content) {
+    return null;
+  }
+  if (!context.includeToolMessages && isToolOrSystemMessage(message)) {
+    return null;
+  }
+  const role = message.author && message.author.role ? message.author.role : "unknown";
+  const rendered = renderContent(message.content, context, message).trim();
+  const content = appendUploadLinks(rendered, message, context);
+  if (!content) {
+    return null;
+  }
+  return {
+    id: message.id || "",
+    role,
+    author_name: (message.author && message.author.name) || null,
+    content_type: message.content.content_type || null,
+    content,
+    create_time: message.create_time || 0,
+    update_time: message.update_time || 0,
+    metadata: message.metadata || null,
+    branch,
+    active,
+    parent_id: parentId || null
+  };
+}
+
+function extractMessages(conversation, options) {
+  const context = { includeToolMessages: true, ...(options || {}), footnoteCount: 0 };
+  const mapping = conversation.mapping || {};
+  const messages = [];
+  const emitted = new Set();
+  const renderedAncestor = new Map();
+
+  const emitPath = (path, branch, active) => {
+    let parentId = null;
+    let count = 0;
+    for (const nodeId of path) {
+      if (emitted.has(nodeId)) {
+        parentId = renderedAncestor.get(nodeId) || null;
+        continue;
+      }
+      emitted.add(nodeId);
+      const entry = toMessageEntry(mapping[nodeId], branch, active, parentId, context);
+      if (entry) {
+        messages.push(entry);
+        parentId = entry.id || parentId;
+        count += 1;
+      }
+      renderedAncestor.set(nodeId, parentId);
     }
+    return count;
+  };
 
-    messages.push({
-      id: message.id || "",
-      role,
-      content,
-      create_time: message.create_time || 0,
-      update_time: message.update_time || 0,
-      metadata: message.metadata || null
-    });
+  const activePath = collectPath(mapping, conversation.current_node);
+  emitPath(activePath, 0, true);
+
+  // Alternate branches are regenerated answers and edited prompts. Each one
+  // is emitted from its fork point so shared history is not repeated.
+  const leaves = findLeafIds(mapping)
+    .filter((id) => !emitted.has(id))
+    .sort((a, b) => getNodeTime(mapping[a]) - getNodeTime(mapping[b]));
+  let branch = 1;
+  for (const leafId of leaves) {
+    if (emitPath(collectPath(mapping, leafId), branch, false)) {
+      branch += 1;
+    }
   }
 
   return messages;
 }
 
-function toMarkdown(conversation, messages, overrideUpdateTime) {
+function groupMessagesByBranch(messages) {
+  const groups = new Map();
+  for (const message of messages) {
+    const branch = Number.isFinite(message.branch) ? message.branch : 0;
+    if (!groups.has(branch)) {
+      groups.set(branch, []);
+    }
+    groups.get(branch).push(message);
+  }
+  return Array.from(groups.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([branch, items]) => ({ branch, active: items[0].active !== false, messages: items }));
+}
+
+function renderMarkdownMessage(message, level) {
+  const roleName = message.role ? message.role.toUpperCase() : "UNKNOWN";
+  const roleTitle = message.author_name ? `${roleName} (${message.author_name})` : roleName;
+  const timestamp = formatTimestamp(message.create_time);
+  let output = "\n";
+  output += `${"#".repeat(level)} ${roleTitle}\n`;
+  if (timestamp) {
+    output += `${timestamp}\n\n`;
+  } else {
+    output += "\n";
+  }
+  output += `${message.content}\n`;
+  return output;
+}
+
+function describeForkPoint(parentId, messagesById) {
+  const parent = parentId ? messagesById.get(parentId) : null;
+  if (!parent) {
+    return "Forks from the start of the conversation.";
+  }
+  const roleTitle = parent.role ? parent.role.toUpperCase() : "UNKNOWN";
+  const timestamp = formatTimestamp(parent.create_time);
+  return timestamp
+    ? `Forks after the ${roleTitle} message from ${timestamp}.`
+    : `Forks after the ${roleTitle} message \`${parent.id}\`.`;
+}
+
+function toMarkdown(conversation, messages, overrideUpdateTime, details) {
   const conversationId = conversation.id || conversation.conversation_id || "";
   const title = conversation.title || "Untitled";
   const createTime = formatTimestamp(toEpochSeconds(conversation.create_time));
@@ -208,38 +590,334 @@ function toMarkdown(conversation, messages, overrideUpdateTime) {
     : toEpochSeconds(conversation.update_time);
   const updateTime = formatTimestamp(updateTimeSeconds);
   const url = conversationId ? `https://chatgpt.com/c/${conversationId}` : "";
+  const groups = groupMessagesByBranch(messages);
+  const alternates = groups.filter((group) => !group.active);
 
   let output = "---\n";
   output += `id: \"${escapeYaml(conversationId)}\"\n`;
   output += `title: \"${escapeYaml(title)}\"\n`;
   output += `create_time: \"${createTime}\"\n`;
   output += `update_time: \"${updateTime}\"\n`;
+  output += `is_archived: ${Boolean(details && details.is_archived)}\n`;
+  for (const [field, value] of Object.entries(getGroupMeta(details))) {
+    output += `${field}: \"${escapeYaml(value)}\"\n`;
+  }
   output += `source: \"chatgpt.com\"\n`;
   if (url) {
     output += `url: \"${escapeYaml(url)}\"\n`;
   }
+  if (alternates.length) {
+    output += `branches: ${alternates.length + 1}\n`;
+  }
   output += "---\n\n";
   output += `# ${title}\n`;
 
-  for (const message of messages) {
-    const roleTitle = message.role ? message.role.toUpperCase() : "UNKNOWN";
-    const timestamp = formatTimestamp(message.create_time);
-    output += "\n";
-    output += `## ${roleTitle}\n`;
-    if (timestamp) {
-      output += `${timestamp}\n\n`;
-    } else {
+  const active = groups.find((group) => group.active);
+  for (const message of active ? active.messages : []) {
+    output += renderMarkdownMessage(message, 2);
+  }
+
+  if (alternates.length) {
+    const messagesById = new Map(messages.map((message) => [message.id, message]));
+    output += "\n---\n\n";
+    output += "## Alternate branches\n";
+    for (const group of alternates) {
       output += "\n";
+      output += `### Branch ${group.branch}\n\n`;
+      output += `_${describeForkPoint(group.messages[0].parent_id, messagesById)}_\n`;
+      for (const message of group.messages) {
+        output += renderMarkdownMessage(message, 4);
+      }
     }
-    output += `${message.content}\n`;
   }
 
   return output;
 }
 
-async function getAccessToken() {
+const ARCHIVE_STYLE = `
+:root {
+  --bg: #f5f5f2;
+  --panel: #ffffff;
+  --text: #1e1e1e;
+  --muted: #666666;
+  --border: #dddddd;
+  --accent: #b45309;
+  --code-bg: #f0f0ec;
+  --user-bg: #eef2ff;
+  --tok-keyword: #7c3aed;
+  --tok-string: #15803d;
+  --tok-number: #b45309;
+  --tok-comment: #8a8a8a;
+  color-scheme: light;
+}
+:root[data-theme="dark"] {
+  --bg: #121212;
+  --panel: #1b1b1b;
+  --text: #f0f0f0;
+  --muted: #9e9e9e;
+  --border: #2f2f2f;
+  --accent: #f7b733;
+  --code-bg: #0d0d0d;
+  --user-bg: #1f2433;
+  --tok-keyword: #c4a7ff;
+  --tok-string: #86efac;
+  --tok-number: #fbbf24;
+  --tok-comment: #7a7a7a;
+  color-scheme: dark;
+}
+* { box-sizing: border-box; }
+body {
+  margin: 0;
+  font-family: "Helvetica Neue", Helvetica, Arial, sans-serif;
+  background: var(--bg);
+  color: var(--text);
+  line-height: 1.55;
+}
+a { color: var(--accent); }
+pre, code { font-family: "Menlo", "SF Mono", monospace; font-size: 13px; }
+pre { background: var(--code-bg); border: 1px solid var(--border); border-radius: 8px; padding: 12px; overflow-x: auto; }
+:not(pre) > code { background: var(--code-bg); border-radius: 4px; padding: 1px 4px; }
+blockquote { margin: 8px 0; padding: 4px 12px; border-left: 3px solid var(--border); color: var(--muted); }
+table { border-collapse: collapse; margin: 8px 0; }
+th, td { border: 1px solid var(--border); padding: 4px 8px; text-align: left; }
+img { max-width: 100%; border-radius: 8px; }
+details { border: 1px solid var(--border); border-radius: 8px; padding: 6px 10px; margin: 8px 0; }
+summary { cursor: pointer; color: var(--muted); }
+.tok-keyword { color: var(--tok-keyword); }
+.tok-string { color: var(--tok-string); }
+.tok-number { color: var(--tok-number); }
+.tok-comment { color: var(--tok-comment); font-style: italic; }
+.theme-toggle { border: 1px solid var(--border); background: var(--panel); color: var(--text); border-radius: 8px; padding: 4px 10px; cursor: pointer; }
+.page { max-width: 860px; margin: 0 auto; padding: 24px; }
+.page-header { display: flex; justify-content: space-between; align-items: flex-start; gap: 12px; }
+.page-header h1 { margin: 0 0 6px 0; font-size: 24px; }
+.page-meta { color: var(--muted); font-size: 13px; }
+.message { background: var(--panel); border: 1px solid var(--border); border-radius: 12px; padding: 12px 16px; margin: 14px 0; }
+.message.role-user { background: var(--user-bg); }
+.message-role { font-size: 11px; font-weight: 600; letter-spacing: 0.08em; text-transform: uppercase; color: var(--muted); }
+.message-time { font-size: 11px; color: var(--muted); margin-left: 8px; font-weight: normal; letter-spacing: 0; text-transform: none; }
+.branch { margin-top: 24px; }
+.branch-note { color: var(--muted); font-size: 13px; font-style: italic; }
+.footnotes { font-size: 13px; color: var(--muted); border-top: 1px solid var(--border); margin-top: 8px; padding-top: 6px; }
+.archive { display: grid; grid-template-columns: 320px 1fr; height: 100vh; }
+.sidebar { display: flex; flex-direction: column; border-right: 1px solid var(--border); background: var(--panel); min-height: 0; }
+.sidebar-head { padding: 14px; display: grid; gap: 8px; border-bottom: 1px solid var(--border); }
+.sidebar-head h1 { font-size: 16px; margin: 0; }
+.sidebar-head input { width: 100%; padding: 8px 10px; border: 1px solid var(--border); border-radius: 8px; background: var(--bg); color: var(--text); }
+.sidebar-count { font-size: 12px; color: var(--muted); }
+.sidebar-list { list-style: none; margin: 0; padding: 0; overflow-y: auto; flex: 1; }
+.sidebar-list a { display: block; padding: 8px 14px; text-decoration: none; color: var(--text); border-bottom: 1px solid var(--border); }
+.sidebar-list a:hover, .sidebar-list a.active { background: var(--bg); }
+.sidebar-list .item-date { display: block; font-size: 11px; color: var(--muted); }
+.viewer { width: 100%; height: 100%; border: none; background: var(--bg); }
+@media (max-width: 720px) {
+  .archive { grid-template-columns: 1fr; grid-template-rows: 40vh 1fr; }
+}
+`;
+
+const ARCHIVE_SCRIPT = `
+(function () {
+  var KEY = "chatgpt-archive-theme";
+  var root = document.documentElement;
+  function preferred() {
+    try {
+      var stored = localStorage.getItem(KEY);
+      if (stored) { return stored; }
+    } catch (err) {}
+    return window.matchMedia && window.matchMedia("(prefers-color-scheme: dark)").matches ? "dark" : "light";
+  }
+  function apply(theme) {
+    root.setAttribute("data-theme", theme);
+    var frame = document.getElementById("viewer");
+    try {
+      if (frame && frame.contentDocument) {
+        frame.contentDocument.documentElement.setAttribute("data-theme", theme);
+      }
+    } catch (err) {}
+  }
+  apply(preferred());
+  window.addEventListener("storage", function (event) {
+    if (event.key === KEY && event.newValue) { apply(event.newValue); }
+  });
+  var toggle = document.getElementById("theme-toggle");
+  if (toggle) {
+    toggle.addEventListener("click", function () {
+      var next = root.getAttribute("data-theme") === "dark" ? "light" : "dark";
+      try { localStorage.setItem(KEY, next); } catch (err) {}
+      apply(next);
+    });
+  }
+
+  var KEYWORDS = /^(?:and|as|async|await|break|case|catch|class|const|continue|def|default|do|elif|else|enum|except|export|extends|false|finally|fn|for|from|func|function|if|impl|import|in|interface|is|lambda|let|match|new|nil|none|not|null|or|package|pass|private|protected|pub|public|raise|return|self|static|struct|super|switch|this|throw|true|try|type|typeof|use|var|void|while|with|yield|True|False|None)$/;
+  var TOKENS = /(\\/\\/[^\\n]*|#[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/|"(?:\\\\.|[^"\\\\\\n])*"|'(?:\\\\.|[^'\\\\\\n])*'|\`(?:\\\\.|[^\`\\\\])*\`|\\b\\d+(?:\\.\\d+)?\\b|\\b[A-Za-z_]\\w*\\b)/g;
+  function classify(token) {
+    var first = token.charAt(0);
+    if (token.indexOf("//") === 0 || token.indexOf("/*") === 0 || first === "#") { return "tok-comment"; }
+    if (first === "\\"" || first === "'" || first === "\`") { return "tok-string"; }
+    if (/^\\d/.test(token)) { return "tok-number"; }
+    return KEYWORDS.test(token) ? "tok-keyword" : "";
+  }
+  var blocks = document.querySelectorAll("pre code[class*='language-']");
+  for (var i = 0; i < blocks.length; i += 1) {
+    var block = blocks[i];
+    if (/language-(?:text|output|markdown|md)$/.test(block.className)) { continue; }
+    var text = block.textContent;
+    var fragment = document.createDocumentFragment();
+    var last = 0;
+    text.replace(TOKENS, function (token, _group, offset) {
+      var kind = classify(token);
+      if (!kind) { return token; }
+      fragment.appendChild(document.createTextNode(text.slice(last, offset)));
+      var span = document.createElement("span");
+      span.className = kind;
+      span.textContent = token;
+      fragment.appendChild(span);
+      last = offset + token.length;
+      return token;
+    });
+    fragment.appendChild(document.createTextNode(text.slice(last)));
+    block.textContent = "";
+    block.appendChild(fragment);
+  }
+
+  var search = document.getElementById("search");
+  var list = document.getElementById("list");
+  if (search && list) {
+    var items = list.querySelectorAll("li");
+    var count = document.getElementById("count");
+    var total = items.length;
+    var update = function () {
+      var query = search.value.trim().toLowerCase();
+      var shown = 0;
+      for (var j = 0; j < items.length; j += 1) {
+        var match = !query || items[j].getAttribute("data-title").indexOf(query) !== -1;
+        items[j].style.display = match ? "" : "none";
+        if (match) { shown += 1; }
+      }
+      count.textContent = "Showing " + shown + " of " + total + " conversations";
+    };
+    search.addEventListener("input", update);
+    update();
+    list.addEventListener("click", function (event) {
+      var link = event.target.closest("a");
+      if (!link) { return; }
+      var active = list.querySelector("a.active");
+      if (active) { active.classList.remove("active"); }
+      link.classList.add("active");
+    });
+    var frame = document.getElementById("viewer");
+    if (frame) {
+      frame.addEventListener("load", function () { apply(root.getAttribute("data-theme")); });
+    }
+  }
+})();
+`;
+
+function renderHtmlDocument(title, body, bodyClass) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${ARCHIVE_STYLE}</style>
+</head>
+<body class="${bodyClass}">
+${body}
+<script>${ARCHIVE_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+function renderHtmlMessage(message) {
+  const roleName = message.role || "unknown";
+  const roleTitle = message.author_name ? `${roleName} (${message.author_name})` : roleName;
+  const timestamp = formatTimestamp(message.create_time);
+  const time = timestamp ? `<span class="message-time">${escapeHtml(timestamp)}</span>` : "";
+  return `<article class="message role-${escapeHtml(roleName)}">
+<div class="message-role">${escapeHtml(roleTitle)}${time}</div>
+${markdownToHtml(message.content)}
+</article>`;
+}
+
+function toConversationHtml(conversation, messages, overrideUpdateTime, basePath) {
+  const conversationId = conversation.id || conversation.conversation_id || "";
+  const title = conversation.title || "Untitled";
+  const createTime = formatTimestamp(toEpochSeconds(conversation.create_time));
+  const updateTime = formatTimestamp(
+    Number.isFinite(overrideUpdateTime) ? overrideUpdateTime : toEpochSeconds(conversation.update_time)
+  );
+  const depth = String(basePath || conversationId).split("/").filter(Boolean).length;
+  const indexHref = `${"../".repeat(depth)}index.html`;
+  const groups = groupMessagesByBranch(messages);
+  const active = groups.find((group) => group.active);
+  const alternates = groups.filter((group) => !group.active);
+  const messagesById = new Map(messages.map((message) => [message.id, message]));
+
+  const meta = [
+    createTime ? `Created ${escapeHtml(createTime)}` : "",
+    updateTime ? `Updated ${escapeHtml(updateTime)}` : "",
+    conversationId
+      ? `<a href="https://chatgpt.com/c/${escapeHtml(conversationId)}" target="_blank" rel="noopener">Open on chatgpt.com</a>`
+      : ""
+  ].filter(Boolean);
+
+  let body = `<main class="page">
+<header class="page-header">
+<div>
+<h1>${escapeHtml(title)}</h1>
+<div class="page-meta">${meta.join(" &middot; ")}</div>
+</div>
+<div><a href="${indexHref}" target="_top">Archive</a> <button class="theme-toggle" id="theme-toggle" type="button">Theme</button></div>
+</header>
+`;
+  body += (active ? active.messages : []).map(renderHtmlMessage).join("\n");
+  for (const group of alternates) {
+    body += `
+<details class="branch">
+<summary>Alternate branch ${group.branch}</summary>
+<p class="branch-note">${escapeHtml(describeForkPoint(group.messages[0].parent_id, messagesById))}</p>
+${group.messages.map(renderHtmlMessage).join("\n")}
+</details>`;
+  }
+  body += "\n</main>";
+
+  return renderHtmlDocument(title, body, "conversation");
+}
+
+function toArchiveIndexHtml(entries) {
+  const sorted = [...entries].sort((a, b) => (b.update_time || 0) - (a.update_time || 0));
+  const items = sorted
+    .map((entry) => {
+      const href = encodeMarkdownPath(`conversations/${entry.path || entry.id}.html`);
+      const title = entry.title || "Untitled";
+      const updated = formatTimestamp(toEpochSeconds(entry.update_time));
+      return `<li data-title="${escapeHtml(title.toLowerCase())}"><a href="${href}" target="viewer">${escapeHtml(title)}<span class="item-date">${escapeHtml(updated)}</span></a></li>`;
+    })
+    .join("\n");
+
+  const body = `<div class="archive">
+<aside class="sidebar">
+<div class="sidebar-head">
+<h1>ChatGPT Archive</h1>
+<input id="search" type="search" placeholder="Search titles" autocomplete="off">
+<div class="sidebar-count" id="count"></div>
+<div><button class="theme-toggle" id="theme-toggle" type="button">Theme</button></div>
+</div>
+<ul class="sidebar-list" id="list">
+${items}
+</ul>
+</aside>
+<iframe class="viewer" id="viewer" name="viewer" title="Conversation"></iframe>
+</div>`;
+
+  return renderHtmlDocument("ChatGPT Archive", body, "archive-index");
+}
+
+async function getAccessToken(forceRefresh) {
   const now = Date.now();
-  if (cachedAccessToken && now - cachedAccessTokenAt < 5 * 60 * 1000) {
+  if (!forceRefresh && cachedAccessToken && now - cachedAccessTokenAt < 5 * 60 * 1000) {
     return cachedAccessToken;
   }
 
@@ -254,6 +932,7 @@ async function getAccessToken() {
       return null;
     }
     const data = await response.json();
+    cachedSession = data || null;
     const token = data && data.accessToken ? data.accessToken : null;
     if (token) {
       cachedAccessToken = token;
@@ -265,20 +944,100 @@ async function getAccessToken() {
   }
 }
 
-async function fetchJson(url, accessToken) {
+// The selected workspace lives in the "_account" cookie; without one the
+// session's own (personal) account is in use.
+function readAccountCookie() {
+  const match = document.cookie.match(/(?:^|;\s*)_account=([^;]*)/);
+  const value = match ? decodeURIComponent(match[1]) : "";
+  return /^[0-9a-f-]{36}$/i.test(value) ? value : "";
+}
+
+async function detectAccount() {
+  const accessToken = await getAccessToken(true);
+  const session = cachedSession || {};
+  const user = session.user || {};
+  const sessionAccount = session.account || {};
+  const accountId = readAccountCookie() || sessionAccount.id || "";
+  let name = "";
+  let structure = sessionAccount.structure || "";
+  if (accessToken && accountId) {
+    try {
+      const data = await fetchJson(
+        "https://chatgpt.com/backend-api/accounts/check/v4-2023-04-27",
+        accessToken
+      );
+      const entry = data && data.accounts ? data.accounts[accountId] : null;
+      const account = entry && entry.account ? entry.account : {};
+      name = account.name || "";
+      structure = account.structure || structure;
+    } catch (err) {
+      // The label falls back to the email address.
+    }
+  }
+  const workspace = structure === "workspace";
+  const email = user.email || "";
+  const person = email || user.name || "Signed-in user";
+  return {
+    key: accountId || user.id || "",
+    accountId,
+    email,
+    workspace,
+    label: workspace ? `${name || "Workspace"} (${person})` : person
+  };
+}
+
+// Detects the signed-in account and registers it with the service worker,
+// which assigns the storage scope for its folders and state.
+function ensureAccount(force) {
+  if (activeAccount && !force) {
+    return Promise.resolve(activeAccount);
+  }
+  if (!accountLookup) {
+    accountLookup = detectAccount()
+      .then((account) => chrome.runtime.sendMessage({ type: "register-account", account }))
+      .then((response) => {
+        if (!response || !response.ok) {
+          throw new Error((response && response.error) || "Unable to register the account.");
+        }
+        const changed = !activeAccount || activeAccount.key !== response.account.key;
+        activeAccount = response.account;
+        if (changed) {
+          applyAccountChange();
+        }
+        return activeAccount;
+      })
+      .finally(() => {
+        accountLookup = null;
+      });
+  }
+  return accountLookup;
+}
+
+// Without a session the tab cannot detect its account; actions other than a
+// sync carry on with the account the service worker used last.
+function adoptStoredAccount(account, err) {
+  if (!account || !account.key) {
+    throw err;
+  }
+  const changed = !activeAccount || activeAccount.key !== account.key;
+  activeAccount = account;
+  if (changed) {
+    applyAccountChange();
+  }
+  return activeAccount;
+}
+
+function getScopedKey(name) {
+  const scope = activeAccount ? activeAccount.scope : "";
+  return scope ? `${name}:${scope}` : name;
+}
+
+async function fetchWithTimeout(url, init, timeoutMs) {
   const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 30000);
-  let response;
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs || 30000);
 
   try {
-    response = await fetch(url, {
-      credentials: "include",
-      headers: {
-        Accept: "application/json",
-        ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {})
-      },
-      signal: controller.signal
-    });
+    return await fetch(url, { ...init, signal: controller.signal });
   } catch (err) {
     if (err && err.name === "AbortError") {
       throw new Error("Request timed out");
@@ -287,72 +1046,422 @@ async function fetchJson(url, accessToken) {
   } finally {
     clearTimeout(timeoutId);
   }
+}
 
-  if (!response.ok) {
-    throw new Error(`Request failed: ${response.status}`);
-  }
-
-  return response.json();
+function createRequestLimiter(maxParallel, onChange) {
+  const parallel = clampParallelFetch(maxParallel);
+  return {
+    tokens: REQUEST_BUCKET_CAPACITY,
+    rate: REQUEST_BUCKET_RATE,
+    refilledAt: Date.now(),
+    pausedUntil: 0,
+    maxParallel: parallel,
+    parallelLimit: parallel,
+    successStreak: 0,
+    throttled: false,
+    onChange
+  };
 }
 
-function normalizeConversationList(data) {
-  if (!data || typeof data !== "object") {
-    return { items: [], total: 0 };
-  }
-  const items =
-    (Array.isArray(data.items) && data.items) ||
-    (Array.isArray(data.conversations) && data.conversations) ||
-    (Array.isArray(data.data) && data.data) ||
-    [];
-  const total = Number.isFinite(data.total) ? data.total : items.length;
-  return { items, total };
+function resetRequestLimiter(maxParallel, onChange) {
+  requestLimiter = createRequestLimiter(maxParallel, onChange);
 }
 
-async function fetchConversationPage(accessToken, offset, limit) {
-  const limits = [limit, 100, 50].filter((value, index, self) => self.indexOf(value) === index);
-  let lastError;
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, Math.max(0, ms)));
+}
 
-  for (const candidate of limits) {
-    try {
-      const data = await fetchJson(
-        `https://chatgpt.com/backend-api/conversations?offset=${offset}&limit=${candidate}&order=updated`,
-        accessToken
-      );
-      const list = normalizeConversationList(data);
-      const items = list.items || [];
-      const total = Number.isFinite(data.total) ? data.total : items.length;
-      const hasMoreFlag = typeof data.has_more === "boolean" ? data.has_more : null;
-      let pageMinUpdate = 0;
-      for (const item of items) {
-        const itemUpdate = toEpochSeconds(item.update_time) || toEpochSeconds(item.create_time);
-        if (!pageMinUpdate || itemUpdate < pageMinUpdate) {
-          pageMinUpdate = itemUpdate;
-        }
-      }
-      const hasMore =
-        typeof hasMoreFlag === "boolean"
-          ? hasMoreFlag
-          : Number.isFinite(total)
-            ? offset + items.length < total
-            : items.length >= candidate;
+function notifyRequestLimiter() {
+  if (requestLimiter.onChange) {
+    requestLimiter.onChange(requestLimiter);
+  }
+}
 
-      return {
-        items,
-        total,
-        hasMore,
-        limit: candidate,
-        pageMinUpdate
-      };
-    } catch (err) {
-      lastError = err;
+// One bucket is shared by every worker in the tab, so parallel fetches,
+// listing, and attachment lookups together stay under the refill rate.
+async function acquireRequestToken() {
+  for (;;) {
+    const now = Date.now();
+    if (requestLimiter.pausedUntil > now) {
+      await sleep(requestLimiter.pausedUntil - now);
+      continue;
     }
+    const elapsed = (now - requestLimiter.refilledAt) / 1000;
+    requestLimiter.tokens = Math.min(
+      REQUEST_BUCKET_CAPACITY,
+      requestLimiter.tokens + elapsed * requestLimiter.rate
+    );
+    requestLimiter.refilledAt = now;
+    if (requestLimiter.tokens >= 1) {
+      requestLimiter.tokens -= 1;
+      return;
+    }
+    await sleep(((1 - requestLimiter.tokens) / requestLimiter.rate) * 1000);
   }
+}
 
-  throw lastError || new Error("Failed to fetch conversations");
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number.parseFloat(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
 }
 
-async function fetchConversation(id, accessToken) {
-  return fetchJson(`https://chatgpt.com/backend-api/conversation/${id}`, accessToken);
+function getBackoffDelay(attempt, retryAfterMs) {
+  if (Number.isFinite(retryAfterMs)) {
+    return Math.min(REQUEST_MAX_DELAY_MS, retryAfterMs);
+  }
+  const base = Math.min(REQUEST_MAX_DELAY_MS, REQUEST_BASE_DELAY_MS * 2 ** attempt);
+  return base / 2 + Math.random() * (base / 2);
+}
+
+function noteRequestThrottled(delayMs) {
+  requestLimiter.pausedUntil = Math.max(requestLimiter.pausedUntil, Date.now() + delayMs);
+  requestLimiter.parallelLimit = Math.max(1, Math.floor(requestLimiter.parallelLimit / 2));
+  requestLimiter.rate = Math.max(0.25, requestLimiter.rate / 2);
+  requestLimiter.tokens = 0;
+  requestLimiter.successStreak = 0;
+  requestLimiter.throttled = true;
+  notifyRequestLimiter();
+}
+
+function noteRequestSuccess() {
+  if (!requestLimiter.throttled) {
+    return;
+  }
+  requestLimiter.successStreak += 1;
+  if (requestLimiter.successStreak < REQUEST_RECOVERY_SUCCESSES) {
+    return;
+  }
+  requestLimiter.successStreak = 0;
+  requestLimiter.parallelLimit = Math.min(requestLimiter.maxParallel, requestLimiter.parallelLimit + 1);
+  requestLimiter.rate = Math.min(REQUEST_BUCKET_RATE, requestLimiter.rate * 2);
+  requestLimiter.throttled =
+    requestLimiter.parallelLimit < requestLimiter.maxParallel || requestLimiter.rate < REQUEST_BUCKET_RATE;
+  notifyRequestLimiter();
+}
+
+function describeRequestLimiter() {
+  if (!requestLimiter.throttled) {
+    return "";
+  }
+  const wait = Math.ceil((requestLimiter.pausedUntil - Date.now()) / 1000);
+  const parallel = `${requestLimiter.parallelLimit}/${requestLimiter.maxParallel} parallel`;
+  return wait > 0
+    ? `Rate limited, resuming in ${wait}s (${parallel})`
+    : `Throttled (${parallel})`;
+}
+
+function refreshAccessToken() {
+  // Workers that hit 401 together share one session refresh.
+  if (!accessTokenRefresh) {
+    accessTokenRefresh = getAccessToken(true).finally(() => {
+      accessTokenRefresh = null;
+    });
+  }
+  return accessTokenRefresh;
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status === 500 || status === 502 || status === 503 || status === 504;
+}
+
+// Only ChatGPT's backend API shares the token bucket and throttle state;
+// attachment downloads from CDNs are retried on their own.
+function isRateLimitedUrl(url) {
+  const target = new URL(url, "https://chatgpt.com/");
+  return target.origin === "https://chatgpt.com" && target.pathname.startsWith("/backend-api/");
+}
+
+async function requestWithRetry(url, init, accessToken, timeoutMs) {
+  const limited = isRateLimitedUrl(url);
+  let token = accessToken;
+  let refreshed = false;
+  let lastError = null;
+
+  for (let attempt = 0; attempt < REQUEST_MAX_ATTEMPTS; attempt += 1) {
+    const lastAttempt = attempt === REQUEST_MAX_ATTEMPTS - 1;
+    if (token && cachedAccessToken) {
+      token = cachedAccessToken;
+    }
+    sendSyncHeartbeat();
+    if (limited) {
+      await acquireRequestToken();
+    }
+    let response;
+    try {
+      response = await fetchWithTimeout(
+        url,
+        {
+          ...init,
+          headers: {
+            ...(init.headers || {}),
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            ...(token && requestAccountId ? { "ChatGPT-Account-Id": requestAccountId } : {})
+          }
+        },
+        timeoutMs
+      );
+    } catch (err) {
+      lastError = err;
+      sendSyncHeartbeat();
+      if (!lastAttempt) {
+        await sleep(getBackoffDelay(attempt, null));
+      }
+      continue;
+    }
+
+    if (response.ok) {
+      if (limited) {
+        noteRequestSuccess();
+      }
+      return response;
+    }
+    lastError = new Error(`Request failed: ${response.status}`);
+    lastError.status = response.status;
+
+    if (response.status === 401 && token && !refreshed) {
+      refreshed = true;
+      token = await refreshAccessToken();
+      if (!token) {
+        break;
+      }
+      continue;
+    }
+    if (!isRetryableStatus(response.status)) {
+      break;
+    }
+    const delay = getBackoffDelay(attempt, parseRetryAfter(response.headers.get("retry-after")));
+    if (limited && response.status === 429) {
+      // Every worker waits out the pause in acquireRequestToken.
+      noteRequestThrottled(delay);
+    } else if (!lastAttempt) {
+      await sleep(delay);
+    }
+  }
+
+  throw lastError || new Error("Request failed");
+}
+
+async function fetchJson(url, accessToken) {
+  const response = await requestWithRetry(
+    url,
+    { credentials: "include", headers: { Accept: "application/json" } },
+    accessToken
+  );
+  return response.json();
+}
+
+async function fetchBlob(url, accessToken, maxBytes) {
+  const target = new URL(url, "https://chatgpt.com/");
+  const sameOrigin = target.origin === "https://chatgpt.com";
+  let response;
+  try {
+    response = await requestWithRetry(
+      target.href,
+      { credentials: sameOrigin ? "include" : "omit" },
+      sameOrigin ? accessToken : null,
+      120000
+    );
+  } catch (err) {
+    throw new Error(err.status ? `Download failed: ${err.status}` : err.message);
+  }
+  const declared = Number.parseInt(response.headers.get("content-length") || "", 10);
+  if (maxBytes && Number.isFinite(declared) && declared > maxBytes) {
+    const error = new Error("Attachment exceeds size limit");
+    error.code = "too-large";
+    throw error;
+  }
+  const blob = await response.blob();
+  if (maxBytes && blob.size > maxBytes) {
+    const error = new Error("Attachment exceeds size limit");
+    error.code = "too-large";
+    throw error;
+  }
+  return blob;
+}
+
+function normalizeConversationList(data) {
+  if (!data || typeof data !== "object") {
+    return { items: [], total: 0 };
+  }
+  const items =
+    (Array.isArray(data.items) && data.items) ||
+    (Array.isArray(data.conversations) && data.conversations) ||
+    (Array.isArray(data.data) && data.data) ||
+    [];
+  const total = Number.isFinite(data.total) ? data.total : items.length;
+  return { items, total };
+}
+
+// Archived chats are only returned by the `is_archived=true` variant of the
+// listing; their items are tagged so callers can tell both listings apart.
+async function fetchConversationPage(accessToken, offset, limit, archived) {
+  const limits = [limit, 100, 50].filter((value, index, self) => self.indexOf(value) === index);
+  const archivedParam = archived ? "&is_archived=true" : "";
+  let lastError;
+
+  for (const candidate of limits) {
+    try {
+      const data = await fetchJson(
+        `https://chatgpt.com/backend-api/conversations?offset=${offset}&limit=${candidate}&order=updated${archivedParam}`,
+        accessToken
+      );
+      const list = normalizeConversationList(data);
+      const items = (list.items || []).map((item) =>
+        archived ? { ...item, is_archived: true } : item
+      );
+      const total = Number.isFinite(data.total) ? data.total : items.length;
+      const hasMoreFlag = typeof data.has_more === "boolean" ? data.has_more : null;
+      let pageMinUpdate = 0;
+      for (const item of items) {
+        const itemUpdate = toEpochSeconds(item.update_time) || toEpochSeconds(item.create_time);
+        if (!pageMinUpdate || itemUpdate < pageMinUpdate) {
+          pageMinUpdate = itemUpdate;
+        }
+      }
+      const hasMore =
+        typeof hasMoreFlag === "boolean"
+          ? hasMoreFlag
+          : Number.isFinite(total)
+            ? offset + items.length < total
+            : items.length >= candidate;
+
+      return {
+        items,
+        total,
+        hasMore,
+        limit: candidate,
+        pageMinUpdate
+      };
+    } catch (err) {
+      lastError = err;
+    }
+  }
+
+  throw lastError || new Error("Failed to fetch conversations");
+}
+
+async function fetchConversation(id, accessToken) {
+  return fetchJson(`https://chatgpt.com/backend-api/conversation/${id}`, accessToken);
+}
+
+// Project and custom GPT names are cached in chrome.storage, keyed by gizmo id,
+// so each one is looked up about once a week. Failed lookups are retried after
+// an hour and keep the last name known for the id (from the cache or the
+// index) meanwhile, so a failure never blanks a name already on disk.
+async function loadGroupNameCache() {
+  if (!groupNameCache) {
+    const result = await chrome.storage.local.get(GROUP_NAMES_KEY);
+    groupNameCache = (result && result[GROUP_NAMES_KEY]) || {};
+  }
+  return groupNameCache;
+}
+
+async function fetchGroupName(gizmoId, accessToken) {
+  const data = await fetchJson(
+    `https://chatgpt.com/backend-api/gizmos/${encodeURIComponent(gizmoId)}`,
+    accessToken
+  );
+  const gizmo = data && data.gizmo ? data.gizmo : data;
+  const display = gizmo && gizmo.display ? gizmo.display : {};
+  return String(display.name || (gizmo && gizmo.name) || "").trim();
+}
+
+async function resolveGroupName(gizmoId, accessToken, knownName) {
+  if (!gizmoId) {
+    return "";
+  }
+  const cache = await loadGroupNameCache();
+  const cached = cache[gizmoId];
+  const fallback = (cached && cached.name) || knownName || "";
+  const age = cached ? Date.now() - Date.parse(cached.fetchedAt) : Infinity;
+  if (cached && age < (cached.name && !cached.failed ? GROUP_NAME_TTL_MS : GROUP_NAME_RETRY_MS)) {
+    return cached.name || fallback;
+  }
+  // Imports run offline, so they only use names already known.
+  if (!accessToken) {
+    return fallback;
+  }
+  if (!groupNameLookups.has(gizmoId)) {
+    const lookup = fetchGroupName(gizmoId, accessToken)
+      .then((name) => ({ name }))
+      .catch(() => ({ name: fallback, failed: true }))
+      .then(async ({ name, failed }) => {
+        cache[gizmoId] = { name, fetchedAt: new Date().toISOString(), ...(failed ? { failed } : {}) };
+        await chrome.storage.local.set({ [GROUP_NAMES_KEY]: cache });
+        return name;
+      })
+      .finally(() => groupNameLookups.delete(gizmoId));
+    groupNameLookups.set(gizmoId, lookup);
+  }
+  return groupNameLookups.get(gizmoId);
+}
+
+// Returns the project and custom GPT fields recorded for a conversation, with
+// empty fields left out. known is the conversation's index entry, if any.
+async function resolveConversationGroups(source, accessToken, known) {
+  const { projectId, gizmoId } = getConversationGroups(source || {});
+  const knownName = (id, idField, nameField) =>
+    known && id && known[idField] === id ? known[nameField] || "" : "";
+  const groups = {
+    project_id: projectId,
+    project_name: await resolveGroupName(projectId, accessToken, knownName(projectId, "project_id", "project_name")),
+    gizmo_id: gizmoId,
+    gizmo_name: await resolveGroupName(gizmoId, accessToken, knownName(gizmoId, "gizmo_id", "gizmo_name"))
+  };
+  return getGroupMeta(groups);
+}
+
+function getGroupMeta(source) {
+  const meta = {};
+  for (const field of GROUP_META_FIELDS) {
+    if (source && typeof source[field] === "string" && source[field]) {
+      meta[field] = source[field];
+    }
+  }
+  return meta;
+}
+
+function isSameGroup(a, b) {
+  return GROUP_META_FIELDS.every((field) => ((a && a[field]) || "") === ((b && b[field]) || ""));
+}
+
+// `redaction_rules` is the fingerprint of the redaction settings the files
+// were written with; both fields are absent when nothing was redacted.
+function getRedactionMeta(source) {
+  return source && typeof source.redaction_rules === "string" && source.redaction_rules
+    ? { redactions: Number(source.redactions) || 0, redaction_rules: source.redaction_rules }
+    : {};
+}
+
+// Metadata (citations, search results, tool input and output) and author
+// names are written with each message, so they are redacted too; only the
+// content counts toward `redactions`, as metadata mostly repeats it.
+function redactMessages(redactor, messages) {
+  return messages.reduce(async (pending, message) => {
+    const result = await pending;
+    const content = await redactText(redactor, message.content);
+    if (!redactor || !redactor.active) {
+      result.messages.push(message);
+      return result;
+    }
+    const authorName = await redactText(redactor, message.author_name || "");
+    const metadata = await redactJson(redactor, message.metadata);
+    result.messages.push({
+      ...message,
+      content: content.text,
+      author_name: message.author_name ? authorName.text : message.author_name,
+      metadata: metadata.value
+    });
+    result.count += content.count;
+    return result;
+  }, Promise.resolve({ messages: [], count: 0 }));
 }
 
 function openHandleDb() {
@@ -370,39 +1479,55 @@ function openHandleDb() {
   });
 }
 
-async function getStoredHandle() {
-  if (cachedHandle) {
-    return cachedHandle;
+// The main folder keeps the original "root" key so existing installs keep
+// their folder; extra destinations are stored under their own ids. Accounts
+// other than the first get their own keys, and so their own folders.
+function getDestinationHandleKey(destinationId) {
+  return getScopedKey(
+    !destinationId || destinationId === PRIMARY_DESTINATION_ID
+      ? HANDLE_KEY
+      : `destination:${destinationId}`
+  );
+}
+
+async function getStoredHandle(key = getDestinationHandleKey(PRIMARY_DESTINATION_ID)) {
+  if (cachedHandles.has(key)) {
+    return cachedHandles.get(key);
   }
 
   const db = await openHandleDb();
   return new Promise((resolve, reject) => {
     const tx = db.transaction(STORE_NAME, "readonly");
     const store = tx.objectStore(STORE_NAME);
-    const request = store.get(HANDLE_KEY);
+    const request = store.get(key);
     request.onsuccess = () => {
-      cachedHandle = request.result || null;
-      resolve(cachedHandle);
+      const handle = request.result || null;
+      if (handle) {
+        cachedHandles.set(key, handle);
+      }
+      resolve(handle);
     };
     request.onerror = () => reject(request.error);
   });
 }
 
-async function setStoredHandle(handle) {
+async function setStoredHandle(handle, key = getDestinationHandleKey(PRIMARY_DESTINATION_ID)) {
   const db = await openHandleDb();
   await new Promise((resolve, reject) => {
     const tx = db.transaction(STORE_NAME, "readwrite");
     const store = tx.objectStore(STORE_NAME);
-    const request = store.put(handle, HANDLE_KEY);
+    const request = store.put(handle, key);
     request.onsuccess = () => resolve();
     request.onerror = () => reject(request.error);
   });
-  cachedHandle = handle;
-  await chrome.storage.local.set({ folderLabel: handle.name || "Selected folder" });
+  cachedHandles.set(key, handle);
+  if (key === getDestinationHandleKey(PRIMARY_DESTINATION_ID)) {
+    await chrome.storage.local.set({ [getScopedKey("folderLabel")]: handle.name || "Selected folder" });
+  }
 }
 
-async function ensureHandle() {
-  const handle = await getStoredHandle();
+async function ensureHandle(key = getDestinationHandleKey(PRIMARY_DESTINATION_ID)) {
+  const handle = await getStoredHandle(key);
   if (!handle) {
     const error = new Error("No folder selected");
     error.code = "no-folder";
@@ -417,8 +1542,8 @@ async function ensureHandle() {
   return handle;
 }
 
-async function ensureHandleWithPrompt() {
-  let handle = await getStoredHandle();
+async function ensureHandleWithPrompt(key = getDestinationHandleKey(PRIMARY_DESTINATION_ID)) {
+  let handle = await getStoredHandle(key);
   if (!handle) {
     if (typeof window.showDirectoryPicker !== "function") {
       const error = new Error("File system access is not available in this browser.");
@@ -426,7 +1551,7 @@ async function ensureHandleWithPrompt() {
       throw error;
     }
     handle = await window.showDirectoryPicker({ mode: "readwrite" });
-    await setStoredHandle(handle);
+    await setStoredHandle(handle, key);
   }
 
   let permission = "prompt";
@@ -458,7 +1583,7 @@ async function refreshFolderStatus() {
     }
     const label = handle.name || "Selected folder";
     updateFolderLabel(label);
-    chrome.storage.local.set({ folderLabel: label });
+    chrome.storage.local.set({ [getScopedKey("folderLabel")]: label });
     const permission = await handle.queryPermission({ mode: "readwrite" });
     if (permission !== "granted") {
       folderAccessState = "permission";
@@ -475,90 +1600,1458 @@ async function refreshFolderStatus() {
   }
 }
 
-async function writeFile(rootHandle, relativePath, content) {
-  const parts = relativePath.split("/").filter(Boolean);
-  let dir = rootHandle;
+// The main folder uses the top-level options; every extra destination
+// overrides the formats, path template, and deletion policy. Version history
+// is only kept in the main folder.
+function getDestinations(options) {
+  const extras = Array.isArray(options.destinations) ? options.destinations : [];
+  return [
+    { id: PRIMARY_DESTINATION_ID, name: "Main folder", primary: true, options },
+    ...extras
+      .filter((destination) => destination && destination.id && destination.id !== PRIMARY_DESTINATION_ID)
+      .map((destination) => ({
+        id: destination.id,
+        name: destination.name || "Destination",
+        primary: false,
+        options: {
+          ...options,
+          includeJson: destination.includeJson === true,
+          includeMarkdown: destination.includeMarkdown !== false,
+          includeHtml: destination.includeHtml === true,
+          pathTemplate: destination.pathTemplate || DEFAULT_PATH_TEMPLATE,
+          deleteRemoved: destination.deleteRemoved === true,
+          keepHistory: false
+        }
+      }))
+  ];
+}
 
-  for (let i = 0; i < parts.length - 1; i += 1) {
-    dir = await dir.getDirectoryHandle(parts[i], { create: true });
+async function getDestinationAccess(destination) {
+  const handle = await getStoredHandle(getDestinationHandleKey(destination.id));
+  if (!handle) {
+    return { handle: null, access: "missing" };
   }
+  const permission = await handle.queryPermission({ mode: "readwrite" });
+  return { handle, access: permission === "granted" ? "granted" : "prompt" };
+}
 
-  const fileName = parts[parts.length - 1];
-  const fileHandle = await dir.getFileHandle(fileName, { create: true });
+async function mergeDestinationStatus(updates, keepIds) {
+  try {
+    const statusKey = getScopedKey("destinationStatus");
+    const result = await chrome.storage.local.get(statusKey);
+    const current = (result && result[statusKey]) || {};
+    const next = {};
+    for (const [id, value] of Object.entries(current)) {
+      if (!keepIds || keepIds.has(id)) {
+        next[id] = value;
+      }
+    }
+    for (const [id, partial] of Object.entries(updates)) {
+      next[id] = { ...(next[id] || {}), ...partial };
+    }
+    await chrome.storage.local.set({ [statusKey]: next });
+  } catch (err) {
+    // Health is informational; a failed update must not fail a sync.
+  }
+}
+
+async function refreshDestinationStatus(options) {
+  const destinations = getDestinations(options || {});
+  const checkedAt = new Date().toISOString();
+  const updates = {};
+  for (const destination of destinations) {
+    let access = "unavailable";
+    let folder = "";
+    try {
+      const state = await getDestinationAccess(destination);
+      access = state.access;
+      folder = state.handle ? state.handle.name || "" : "";
+    } catch (err) {
+      // Reported as unavailable.
+    }
+    updates[destination.id] = { name: destination.name, folder, access, checkedAt };
+  }
+  await mergeDestinationStatus(updates, new Set(destinations.map((destination) => destination.id)));
+}
+
+function createDestinationTarget(destination, handle, metaMap) {
+  return {
+    ...destination,
+    handle,
+    metaMap,
+    paths: createPathRegistry(destination.options.pathTemplate, metaMap),
+    htmlArchive: false,
+    written: 0,
+    errors: 0,
+    lastError: null
+  };
+}
+
+// index.json records whether every indexed conversation had its HTML page
+// when it was written. Folders without the flag (the archive was just turned
+// on, or was off for a while) get their missing pages backfilled.
+async function openHtmlArchive(target) {
+  if (target.options.includeHtml) {
+    const index = await readJsonFile(target.handle, "index.json");
+    target.htmlArchive = Boolean(index && index.html_archive === true);
+  }
+  return target;
+}
+
+// Missing pages are rendered from each conversation's local JSON instead of
+// refetching it. Conversations without a readable JSON get their page the
+// next time they change.
+async function backfillHtmlPages(target) {
+  if (!target.options.includeHtml || target.htmlArchive) {
+    return;
+  }
+  updateStatus("Writing missing HTML pages...");
+  for (const meta of Object.values(target.metaMap)) {
+    if (syncStopRequested) {
+      return;
+    }
+    sendSyncHeartbeat();
+    const basePath = meta.path || meta.id;
+    const pagePath = `conversations/${basePath}.html`;
+    if (await fileExists(target.handle, pagePath)) {
+      continue;
+    }
+    const payload = await readJsonFile(target.handle, `conversations/${basePath}.json`);
+    if (payload && payload.raw && Array.isArray(payload.messages)) {
+      await writeFile(
+        target.handle,
+        pagePath,
+        toConversationHtml(payload.raw, payload.messages, meta.update_time, basePath)
+      );
+    }
+  }
+  target.htmlArchive = true;
+}
+
+// Extra destinations that are not reachable without a prompt are left out of
+// the run and reported; they catch up on a later full inventory.
+async function openDestinationTargets(options, rootHandle, primaryMeta) {
+  const targets = [];
+  const unavailable = {};
+  for (const destination of getDestinations(options)) {
+    if (destination.primary) {
+      await removeFolderTempFiles(rootHandle);
+      await loadIntegrityManifest(rootHandle);
+      await syncFolderEncryption(rootHandle);
+      targets.push(await openHtmlArchive(createDestinationTarget(destination, rootHandle, primaryMeta)));
+      continue;
+    }
+    try {
+      const { handle, access } = await getDestinationAccess(destination);
+      if (access !== "granted") {
+        unavailable[destination.id] = { name: destination.name, access };
+        continue;
+      }
+      await removeFolderTempFiles(handle);
+      await loadIntegrityManifest(handle);
+      await syncFolderEncryption(handle);
+      const indexState = await readIndex(handle);
+      targets.push(await openHtmlArchive(createDestinationTarget(destination, handle, indexState ? indexState.meta : {})));
+    } catch (err) {
+      unavailable[destination.id] = { name: destination.name, access: "unavailable", lastError: err.message };
+    }
+  }
+  return { targets, unavailable };
+}
+
+function isDestinationCurrent(target, id, updateTime, info) {
+  const meta = target.metaMap[id];
+  return (
+    Boolean(meta) &&
+    (meta.update_time || 0) >= updateTime &&
+    Boolean(meta.is_archived) === Boolean(info.is_archived) &&
+    isSameGroup(meta, info) &&
+    (meta.redaction_rules || "") === (info.redaction_rules || "") &&
+    target.paths.matches(id, info)
+  );
+}
+
+async function writeToDestination(target, conversation, info, source) {
+  const id = conversation.id || conversation.conversation_id;
+  const { options, paths, metaMap } = target;
+  const previousPath = paths.previous(id);
+  const knownUpdateTime = metaMap[id] ? metaMap[id].update_time || 0 : 0;
+  const path = paths.resolve(id, info);
+  const moved = Boolean(metaMap[id]) && previousPath !== path && !paths.isOwnedByOther(previousPath, id);
+  if (moved) {
+    await moveConversation(target.handle, options, previousPath, path);
+  }
+  await removeConversationTempFiles(target.handle, path);
+  const attachments = await downloadAttachments(
+    target.handle,
+    options,
+    conversation,
+    source.accessToken,
+    path,
+    source.localFiles,
+    source.cache,
+    source.redactor || null
+  );
+  const redactor = source.redactor || null;
+  // Redaction sits between extraction and writing, so every format, the
+  // search index, and index.json get the same redacted text. Identifiers in
+  // the raw payload are kept, so it can still be rebuilt into a transcript.
+  const { messages, count } = await redactMessages(
+    redactor,
+    extractMessages(conversation, {
+      attachments,
+      includeToolMessages: options.includeToolMessages !== false
+    })
+  );
+  const redacted = redactor && redactor.active ? await redactJson(redactor, conversation) : null;
+  const written = redacted ? redacted.value : conversation;
+  // Attachment keys hold sandbox paths, which may name a file after a match;
+  // they are only needed raw while the messages are extracted.
+  const writtenAttachments = redacted ? new Map() : attachments;
+  if (redacted) {
+    for (const [key, entry] of attachments) {
+      writtenAttachments.set(key, (await redactJson(redactor, entry)).value);
+    }
+    const leak = findUnredacted(redactor, {
+      title: info.title,
+      messages,
+      attachments: Array.from(writtenAttachments.values()),
+      raw: written
+    });
+    if (leak) {
+      throw new Error(`Redaction missed a ${leak.name} match in ${leak.path}; nothing was written.`);
+    }
+  }
+  const redaction =
+    redactor && redactor.active
+      ? { redactions: (info.title_redactions || 0) + count, redaction_rules: redactor.fingerprint }
+      : {};
+  const details = { is_archived: info.is_archived === true, ...getGroupMeta(info) };
+  const markdown = options.includeMarkdown
+    ? toMarkdown(written, messages, info.update_time, details)
+    : "";
+  const knownVersions = metaMap[id] ? metaMap[id].versions : null;
+  const versions = (await writeConversation(
+    target.handle,
+    options,
+    written,
+    messages,
+    markdown,
+    info.update_time,
+    writtenAttachments,
+    path,
+    { ...details, ...redaction }
+  )) || knownVersions;
+  // With attachments missing, the conversation keeps its last synced
+  // update_time, so the next run fetches it again and downloads only the
+  // files that are not on disk yet.
+  const missingAttachments = countMissingAttachments(attachments);
+  metaMap[id] = {
+    id,
+    title: info.title,
+    create_time: info.create_time,
+    update_time: missingAttachments ? knownUpdateTime : info.update_time,
+    ...details,
+    ...redaction,
+    path,
+    ...(Array.isArray(versions) ? { versions } : {})
+  };
+  await journalIndexEntry(target.handle, metaMap[id]);
+  await journalIntegrityEntries(target.handle, id, moved ? [previousPath, path] : [path]);
+  target.written += 1;
+  return {
+    path,
+    messages,
+    versions: Array.isArray(versions) ? versions : null,
+    redaction,
+    update_time: metaMap[id].update_time,
+    missingAttachments
+  };
+}
+
+// Writes one conversation to every destination. A failure in the main folder
+// fails the conversation; extra destinations record the error and stay stale
+// in their own index.json, so a later run writes them again.
+async function writeToDestinations(targets, conversation, info, source) {
+  const id = conversation.id || conversation.conversation_id;
+  const fanOut = { ...source, cache: new Map() };
+  const [primary, ...others] = targets;
+  const written = await writeToDestination(primary, conversation, info, fanOut);
+  for (const target of others) {
+    try {
+      await writeToDestination(target, conversation, info, fanOut);
+    } catch (err) {
+      if (!target.metaMap[id]) {
+        target.paths.release(id);
+      }
+      target.errors += 1;
+      target.lastError = err.message;
+    }
+  }
+  return written;
+}
+
+async function writeDestinationIndexes(targets, withHtml) {
+  for (const target of targets) {
+    try {
+      await writeIndex(target.handle, target.metaMap, target.options.includeHtml && target.htmlArchive);
+      await writeIntegrityManifest(target.handle);
+      if (withHtml && target.options.includeHtml) {
+        await writeFile(target.handle, "index.html", toArchiveIndexHtml(Object.values(target.metaMap)));
+      }
+    } catch (err) {
+      if (target.primary) {
+        throw err;
+      }
+      target.errors += 1;
+      target.lastError = err.message;
+    }
+  }
+}
+
+async function recordDestinationHealth(targets, unavailable) {
+  const now = new Date().toISOString();
+  const updates = {};
+  for (const target of targets) {
+    updates[target.id] = {
+      name: target.name,
+      folder: target.handle.name || "",
+      access: "granted",
+      checkedAt: now,
+      lastRunAt: now,
+      lastRunWritten: target.written,
+      lastRunErrors: target.errors,
+      lastError: target.lastError,
+      ...(target.written ? { lastWriteAt: now } : {})
+    };
+  }
+  for (const [id, state] of Object.entries(unavailable || {})) {
+    updates[id] = {
+      lastError: null,
+      ...state,
+      checkedAt: now,
+      lastRunAt: now,
+      lastRunWritten: 0,
+      lastRunErrors: 0
+    };
+  }
+  await mergeDestinationStatus(updates, null);
+}
+
+async function writeFileHandle(fileHandle, content) {
   const writable = await fileHandle.createWritable();
   await writable.write(content);
   await writable.close();
 }
 
-async function deleteFile(rootHandle, relativePath) {
+// Writes bytes as given; moves and copies use this so encrypted files are not
+// wrapped a second time. The bytes go to "<name>.partial" first and are then
+// renamed over the real name, so an interrupted write leaves either the old
+// file or the new one, never a truncated mix.
+async function writeRawFile(rootHandle, relativePath, content) {
   const parts = relativePath.split("/").filter(Boolean);
   let dir = rootHandle;
 
   for (let i = 0; i < parts.length - 1; i += 1) {
-    try {
-      dir = await dir.getDirectoryHandle(parts[i], { create: false });
-    } catch (err) {
-      if (err && err.name === "NotFoundError") {
-        return;
-      }
-      throw err;
+    dir = await dir.getDirectoryHandle(parts[i], { create: true });
+  }
+
+  const fileName = parts[parts.length - 1];
+  if (typeof FileSystemHandle === "undefined" || typeof FileSystemHandle.prototype.move !== "function") {
+    await writeFileHandle(await dir.getFileHandle(fileName, { create: true }), content);
+    return;
+  }
+  const tempHandle = await dir.getFileHandle(`${fileName}${TEMP_FILE_SUFFIX}`, { create: true });
+  await writeFileHandle(tempHandle, content);
+  try {
+    await tempHandle.move(fileName);
+  } catch (err) {
+    // Some file systems refuse to rename over an existing file.
+    await writeFileHandle(await dir.getFileHandle(fileName, { create: true }), content);
+    await dir.removeEntry(tempHandle.name).catch(() => {});
+  }
+}
+
+// An interrupted write leaves "<name>.partial" next to the old file. Rather
+// than walking the archive, a run sweeps the folder root and the journals when
+// it opens a folder, and each conversation's own files before writing it.
+async function removeStaleTempFiles(dir) {
+  const stale = [];
+  for await (const [name, handle] of dir.entries()) {
+    if (handle.kind === "file" && name.endsWith(TEMP_FILE_SUFFIX)) {
+      stale.push(name);
+    }
+  }
+  for (const name of stale) {
+    await dir.removeEntry(name).catch(() => {});
+  }
+}
+
+async function removeFolderTempFiles(rootHandle) {
+  await removeStaleTempFiles(rootHandle);
+  for (const folder of [INDEX_JOURNAL_FOLDER, INTEGRITY_JOURNAL_FOLDER]) {
+    const dir = await getDirectoryIfExists(rootHandle, folder);
+    if (dir) {
+      await removeStaleTempFiles(dir);
+    }
+  }
+}
+
+async function removeConversationTempFiles(rootHandle, basePath) {
+  const parts = `conversations/${basePath}`.split("/").filter(Boolean);
+  const name = parts.pop();
+  const parent = await getDirectoryIfExists(rootHandle, parts.join("/"));
+  if (parent) {
+    for (const ext of CONVERSATION_FILE_EXTENSIONS) {
+      await parent.removeEntry(`${name}.${ext}${TEMP_FILE_SUFFIX}`).catch(() => {});
+    }
+  }
+  for (const folder of CONVERSATION_SUBFOLDERS) {
+    const dir = await getDirectoryIfExists(rootHandle, `conversations/${basePath}/${folder}`);
+    if (dir) {
+      await removeStaleTempFiles(dir);
+    }
+  }
+}
+
+async function writeFile(rootHandle, relativePath, content) {
+  const encryption = relativePath === ENCRYPTION_FILE ? null : fileEncryption;
+  const data = encryption ? await encryptEnvelope(encryption.key, encryption.keyId, content) : content;
+  await writeRawFile(rootHandle, relativePath, data);
+  await recordFileIntegrity(rootHandle, relativePath, data);
+}
+
+// The integrity manifest holds the SHA-256 and size of every file under
+// conversations/ as it was written (after encryption), so files changed,
+// truncated, or removed outside the extension can be found later. It is
+// loaded per folder when a run opens it and saved next to index.json; until
+// then each written conversation journals its entries, like index entries.
+function isIntegrityTracked(relativePath) {
+  return relativePath.startsWith("conversations/");
+}
+
+async function hashBytes(bytes) {
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+// Files of the conversation at basePath: "<basePath>.<ext>" and everything
+// under "<basePath>/" (attachments, history).
+function isConversationFile(relativePath, basePath) {
+  const prefix = `conversations/${basePath}`;
+  return (
+    relativePath.startsWith(prefix) &&
+    (relativePath.startsWith(`${prefix}/`) || /^\.[a-z]+$/.test(relativePath.slice(prefix.length)))
+  );
+}
+
+async function loadIntegrityManifest(rootHandle) {
+  const payload = await readJsonFile(rootHandle, INTEGRITY_FILE);
+  const manifest = {
+    files: payload && payload.files && typeof payload.files === "object" ? payload.files : {},
+    dirty: false
+  };
+  // A run that ended before saving the manifest left the entries of every
+  // conversation it wrote in the journal; they replace what the manifest
+  // held for those conversations' paths.
+  const dir = await getDirectoryIfExists(rootHandle, INTEGRITY_JOURNAL_FOLDER);
+  if (dir) {
+    for (const file of await listFolderFiles(dir, INTEGRITY_JOURNAL_FOLDER, [])) {
+      const journal = await readJsonFile(rootHandle, file.path);
+      if (!journal || !Array.isArray(journal.paths) || !journal.files) {
+        continue;
+      }
+      for (const path of Object.keys(manifest.files)) {
+        if (journal.paths.some((basePath) => isConversationFile(path, basePath))) {
+          delete manifest.files[path];
+        }
+      }
+      Object.assign(manifest.files, journal.files);
+    }
+    manifest.dirty = true;
+  }
+  integrityManifests.set(rootHandle, manifest);
+  return manifest;
+}
+
+// basePaths holds the conversation's path and, after a move, the one it left.
+async function journalIntegrityEntries(rootHandle, id, basePaths) {
+  const manifest = integrityManifests.get(rootHandle);
+  if (!manifest) {
+    return;
+  }
+  const files = {};
+  for (const [path, entry] of Object.entries(manifest.files)) {
+    if (basePaths.some((basePath) => isConversationFile(path, basePath))) {
+      files[path] = entry;
+    }
+  }
+  await writeFile(
+    rootHandle,
+    `${INTEGRITY_JOURNAL_FOLDER}/${id}.json`,
+    JSON.stringify({ paths: basePaths, files })
+  );
+}
+
+async function recordFileIntegrity(rootHandle, relativePath, data) {
+  const manifest = integrityManifests.get(rootHandle);
+  if (!manifest || !isIntegrityTracked(relativePath)) {
+    return;
+  }
+  const bytes = await toEncryptionBytes(data);
+  manifest.files[relativePath] = {
+    sha256: await hashBytes(bytes),
+    size: bytes.byteLength,
+    written_at: new Date().toISOString()
+  };
+  manifest.dirty = true;
+}
+
+// Moves the entries of a file or folder along with it; entries moved into
+// .trash, or with no destination, are dropped.
+function moveIntegrityEntries(rootHandle, fromPath, toPath) {
+  const manifest = integrityManifests.get(rootHandle);
+  if (!manifest) {
+    return;
+  }
+  for (const path of Object.keys(manifest.files)) {
+    if (path !== fromPath && !path.startsWith(`${fromPath}/`)) {
+      continue;
+    }
+    if (toPath && isIntegrityTracked(toPath)) {
+      manifest.files[`${toPath}${path.slice(fromPath.length)}`] = manifest.files[path];
+    }
+    delete manifest.files[path];
+    manifest.dirty = true;
+  }
+}
+
+async function writeIntegrityManifest(rootHandle) {
+  const manifest = integrityManifests.get(rootHandle);
+  if (!manifest || !manifest.dirty) {
+    return;
+  }
+  const files = {};
+  for (const path of Object.keys(manifest.files).sort()) {
+    files[path] = manifest.files[path];
+  }
+  await writeFile(
+    rootHandle,
+    INTEGRITY_FILE,
+    JSON.stringify({ generated_at: new Date().toISOString(), algorithm: "SHA-256", count: Object.keys(files).length, files }, null, 2)
+  );
+  manifest.dirty = false;
+  await deleteDirectory(rootHandle, INTEGRITY_JOURNAL_FOLDER);
+}
+
+async function deleteFile(rootHandle, relativePath) {
+  moveIntegrityEntries(rootHandle, relativePath, null);
+  const parts = relativePath.split("/").filter(Boolean);
+  let dir = rootHandle;
+
+  for (let i = 0; i < parts.length - 1; i += 1) {
+    try {
+      dir = await dir.getDirectoryHandle(parts[i], { create: false });
+    } catch (err) {
+      if (err && err.name === "NotFoundError") {
+        return;
+      }
+      throw err;
+    }
+  }
+
+  const fileName = parts[parts.length - 1];
+  try {
+    await dir.removeEntry(fileName);
+  } catch (err) {
+    if (err && err.name === "NotFoundError") {
+      return;
+    }
+    throw err;
+  }
+}
+
+// The derived key is kept next to the folder handles in this origin's
+// IndexedDB: CryptoKey objects survive structured cloning and stay
+// non-extractable. Keys replaced by a passphrase change are kept so older
+// files can still be read and re-encrypted.
+async function loadStoredEncryption() {
+  return getStoredHandle(getScopedKey(ENCRYPTION_KEY_NAME));
+}
+
+function getEncryptionKey(record, keyId) {
+  if (!record) {
+    return null;
+  }
+  if (record.keyId === keyId) {
+    return record.key;
+  }
+  const previous = (record.previous || []).find((entry) => entry.keyId === keyId);
+  return previous ? previous.key : null;
+}
+
+async function prepareEncryption(options) {
+  fileEncryption = null;
+  if (options.encryptFiles !== true) {
+    return;
+  }
+  const record = await loadStoredEncryption();
+  if (!record) {
+    const error = new Error("Enter the encryption passphrase in Options before syncing.");
+    error.code = "encryption-locked";
+    throw error;
+  }
+  fileEncryption = record;
+}
+
+// Unlocks the archive's existing passphrase, or sets a new one when there is
+// none yet or `replace` is set. Files move to a new key on the next sync.
+async function setEncryptionPassphrase(passphrase, replace) {
+  if (syncInProgress) {
+    throw new Error("Wait for the running sync to finish.");
+  }
+  if (!passphrase) {
+    throw new Error("Enter a passphrase.");
+  }
+  await ensureAccount();
+  const record = await loadStoredEncryption();
+  let settings = record ? record.settings : null;
+  if (!settings) {
+    // After a reinstall, pick up the settings of an already encrypted folder.
+    const rootHandle = await getStoredHandle();
+    settings = rootHandle ? await readJsonFile(rootHandle, ENCRYPTION_FILE) : null;
+  }
+
+  let next;
+  if (settings && !replace) {
+    next = {
+      key: await unlockEncryptionSettings(passphrase, settings),
+      keyId: settings.key_id,
+      settings,
+      previous: !record
+        ? []
+        : record.keyId === settings.key_id
+          ? record.previous || []
+          : [{ key: record.key, keyId: record.keyId }, ...(record.previous || [])]
+    };
+  } else {
+    if (settings && (!record || record.keyId !== settings.key_id)) {
+      throw new Error("Unlock the current passphrase before replacing it.");
+    }
+    const created = await createEncryptionSettings(passphrase);
+    next = {
+      key: created.key,
+      keyId: created.settings.key_id,
+      settings: created.settings,
+      previous: record ? [{ key: record.key, keyId: record.keyId }, ...(record.previous || [])] : []
+    };
+  }
+  await setStoredHandle(next, getScopedKey(ENCRYPTION_KEY_NAME));
+  await chrome.storage.local.set({
+    [getScopedKey(ENCRYPTION_SETTINGS_KEY)]: {
+      keyId: next.keyId,
+      createdAt: next.settings.created_at || null,
+      unlockedAt: new Date().toISOString()
+    }
+  });
+  return { keyId: next.keyId };
+}
+
+async function listFolderFiles(dir, prefix, files) {
+  for await (const [name, handle] of dir.entries()) {
+    const path = prefix ? `${prefix}/${name}` : name;
+    if (handle.kind === "directory") {
+      sendSyncHeartbeat();
+      await listFolderFiles(handle, path, files);
+    } else if (path !== ENCRYPTION_FILE && !name.endsWith(".crswap") && !name.endsWith(TEMP_FILE_SUFFIX)) {
+      files.push({ handle, path });
+    }
+  }
+  return files;
+}
+
+// Brings every file in a folder in line with the current encryption mode.
+// encryption.json records the key the folder was converted to, so this only
+// walks the folder after encryption is turned on or off or the passphrase
+// changes. A stopped sync leaves encryption.json as it was; files already
+// converted are skipped when the next run picks the walk up again.
+async function syncFolderEncryption(rootHandle) {
+  const wanted = fileEncryption ? fileEncryption.keyId : "";
+  const current = await readJsonFile(rootHandle, ENCRYPTION_FILE);
+  if (((current && current.key_id) || "") === wanted) {
+    return;
+  }
+  const label = wanted ? "Encrypting existing files" : "Decrypting existing files";
+  updateStatus(`${label}...`);
+  const record = fileEncryption || (await loadStoredEncryption());
+  const files = await listFolderFiles(rootHandle, "", []);
+  let failed = 0;
+  for (let i = 0; i < files.length; i += 1) {
+    const { path } = files[i];
+    if (activeSyncPort && syncStopRequested) {
+      await writeIntegrityManifest(rootHandle);
+      return;
+    }
+    sendSyncHeartbeat();
+    if (i % 50 === 0) {
+      updateStatus(`${label} (${i}/${files.length})...`);
+    }
+    try {
+      const bytes = new Uint8Array(await (await files[i].handle.getFile()).arrayBuffer());
+      const encrypted = isEncryptedEnvelope(bytes);
+      if (encrypted ? getEnvelopeKeyId(bytes) === wanted : !wanted) {
+        continue;
+      }
+      const plain = encrypted
+        ? await decryptEnvelope(bytes, async (keyId) => getEncryptionKey(record, keyId))
+        : bytes;
+      const data = wanted ? await encryptEnvelope(fileEncryption.key, wanted, plain) : plain;
+      await writeRawFile(rootHandle, path, data);
+      await recordFileIntegrity(rootHandle, path, data);
+    } catch (err) {
+      failed += 1;
+    }
+  }
+  await writeIntegrityManifest(rootHandle);
+  if (failed) {
+    throw new Error(
+      `${failed} file${failed === 1 ? "" : "s"} in ${rootHandle.name || "the folder"} could not be ${
+        wanted ? "encrypted" : "decrypted"
+      }; unlock the passphrase they were written with.`
+    );
+  }
+  if (wanted) {
+    await writeRawFile(rootHandle, ENCRYPTION_FILE, JSON.stringify(fileEncryption.settings, null, 2));
+  } else {
+    await deleteFile(rootHandle, ENCRYPTION_FILE);
+  }
+}
+
+function parseAssetPointer(pointer) {
+  if (typeof pointer !== "string") {
+    return "";
+  }
+  const match = pointer.match(/^[a-z-]+:\/\/(.+)$/i);
+  return match ? match[1] : "";
+}
+
+function sanitizeFileName(name, fallback) {
+  const cleaned = String(name || "")
+    .replace(/[\u0000-\u001f<>:"/\\|?*]+/g, "_")
+    .replace(/^[.\s]+|[.\s]+$/g, "")
+    .slice(0, 120);
+  return cleaned || fallback;
+}
+
+function extensionForMime(mimeType) {
+  const map = {
+    "image/png": ".png",
+    "image/jpeg": ".jpg",
+    "image/gif": ".gif",
+    "image/webp": ".webp",
+    "application/pdf": ".pdf",
+    "text/plain": ".txt",
+    "text/csv": ".csv"
+  };
+  return map[mimeType] || "";
+}
+
+function collectAttachmentRefs(conversation) {
+  const mapping = conversation.mapping || {};
+  const refs = new Map();
+  const assetRefs = new Map();
+
+  const addSandboxRefs = (text, messageId) => {
+    if (typeof text !== "string" || text.indexOf("sandbox:") === -1) {
+      return;
+    }
+    const pattern = /sandbox:(\/[^\s)\]"']+)/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+      const sandboxPath = match[1];
+      const key = `sandbox:${sandboxPath}`;
+      if (!refs.has(key) && messageId) {
+        refs.set(key, {
+          key,
+          source: "sandbox",
+          sandboxPath,
+          messageId,
+          name: sandboxPath.split("/").pop()
+        });
+      }
+    }
+  };
+
+  for (const node of Object.values(mapping)) {
+    const message = node && node.message;
+    if (!message) {
+      continue;
+    }
+    const content = message.content || {};
+    const parts = Array.isArray(content.parts) ? content.parts : [];
+    for (const part of parts) {
+      if (typeof part === "string") {
+        addSandboxRefs(part, message.id);
+        continue;
+      }
+      if (!part || typeof part !== "object") {
+        continue;
+      }
+      if (typeof part.text === "string") {
+        addSandboxRefs(part.text, message.id);
+      }
+      const fileId = parseAssetPointer(part.asset_pointer);
+      if (fileId && !refs.has(part.asset_pointer)) {
+        assetRefs.set(fileId, part.asset_pointer);
+        refs.set(part.asset_pointer, {
+          key: part.asset_pointer,
+          source: "asset",
+          fileId,
+          messageId: message.id,
+          name: "",
+          size: part.size_bytes || 0
+        });
+      }
+    }
+    addSandboxRefs(content.text, message.id);
+
+    const aggregate = message.metadata && message.metadata.aggregate_result;
+    const outputs = aggregate && Array.isArray(aggregate.messages) ? aggregate.messages : [];
+    for (const output of outputs) {
+      const fileId = output && output.message_type === "image" ? parseAssetPointer(output.image_url) : "";
+      if (fileId && !refs.has(output.image_url)) {
+        assetRefs.set(fileId, output.image_url);
+        refs.set(output.image_url, {
+          key: output.image_url,
+          source: "asset",
+          fileId,
+          messageId: message.id,
+          name: ""
+        });
+      }
+    }
+
+    const uploads = message.metadata && Array.isArray(message.metadata.attachments)
+      ? message.metadata.attachments
+      : [];
+    for (const upload of uploads) {
+      if (!upload || !upload.id || refs.has(`file:${upload.id}`)) {
+        continue;
+      }
+      if (assetRefs.has(upload.id)) {
+        const assetRef = refs.get(assetRefs.get(upload.id));
+        assetRef.name = assetRef.name || upload.name || "";
+        assetRef.mimeType = upload.mime_type || "";
+        continue;
+      }
+      refs.set(`file:${upload.id}`, {
+        key: `file:${upload.id}`,
+        source: "upload",
+        fileId: upload.id,
+        messageId: message.id,
+        name: upload.name || "",
+        size: upload.size || 0,
+        mimeType: upload.mime_type || ""
+      });
+    }
+  }
+
+  return Array.from(refs.values());
+}
+
+async function resolveAttachmentUrl(conversationId, ref, accessToken) {
+  const url = ref.source === "sandbox"
+    ? `https://chatgpt.com/backend-api/conversation/${conversationId}/interpreter/download?message_id=${encodeURIComponent(ref.messageId)}&sandbox_path=${encodeURIComponent(ref.sandboxPath)}`
+    : `https://chatgpt.com/backend-api/files/${encodeURIComponent(ref.fileId)}/download`;
+  const data = await fetchJson(url, accessToken);
+  if (!data || typeof data.download_url !== "string" || !data.download_url) {
+    throw new Error(data && data.error_code ? `Download unavailable: ${data.error_code}` : "Download unavailable");
+  }
+  return { url: data.download_url, fileName: data.file_name || "" };
+}
+
+async function getDirectoryIfExists(rootHandle, relativePath) {
+  const parts = relativePath.split("/").filter(Boolean);
+  let dir = rootHandle;
+  try {
+    for (const part of parts) {
+      dir = await dir.getDirectoryHandle(part, { create: false });
+    }
+    return dir;
+  } catch (err) {
+    if (err && err.name === "NotFoundError") {
+      return null;
+    }
+    throw err;
+  }
+}
+
+async function fileExists(rootHandle, relativePath) {
+  const parts = relativePath.split("/").filter(Boolean);
+  const name = parts.pop();
+  const dir = await getDirectoryIfExists(rootHandle, parts.join("/"));
+  if (!dir || !name) {
+    return false;
+  }
+  try {
+    await dir.getFileHandle(name, { create: false });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+async function findFileWithPrefix(rootHandle, folder, prefix) {
+  const dir = await getDirectoryIfExists(rootHandle, folder);
+  if (!dir) {
+    return "";
+  }
+  for await (const [name, handle] of dir.entries()) {
+    if (handle.kind === "file" && (name === prefix || name.startsWith(`${prefix}-`))) {
+      return name;
+    }
+  }
+  return "";
+}
+
+function dataUrlToBlob(dataUrl, type) {
+  const encoded = String(dataUrl || "").slice(String(dataUrl || "").indexOf(",") + 1);
+  const binary = atob(encoded);
+  const bytes = new Uint8Array(binary.length);
+  for (let index = 0; index < binary.length; index += 1) {
+    bytes[index] = binary.charCodeAt(index);
+  }
+  return new Blob([bytes], { type: type || "" });
+}
+
+// Imports pass the files found in the export ZIP as localFiles, keyed by file
+// id; nothing is fetched from the network in that case. The cache shares
+// fetched files between the destinations of one conversation.
+async function downloadAttachments(
+  rootHandle,
+  options,
+  conversation,
+  accessToken,
+  basePath,
+  localFiles,
+  cache,
+  redactor
+) {
+  const conversationId = conversation.id || conversation.conversation_id;
+  const attachments = new Map();
+  if (!options.downloadAttachments || !conversationId) {
+    return attachments;
+  }
+  const maxBytes = Math.max(0, Number(options.maxAttachmentMb) || 0) * 1024 * 1024;
+  const folder = `conversations/${basePath}/attachments`;
+  const linkPrefix = `conversations/${basePath.split("/").slice(0, -1).join("/")}`.replace(/\/?$/, "/");
+
+  // Upload and sandbox names become file names and link text, so they are
+  // redacted before either is built.
+  const redactName = async (name) => (name ? (await redactText(redactor, name)).text : name);
+
+  for (const sourceRef of collectAttachmentRefs(conversation)) {
+    sendSyncHeartbeat();
+    const ref = { ...sourceRef, name: await redactName(sourceRef.name) };
+    const entry = {
+      key: ref.key,
+      source: ref.source,
+      file_id: ref.fileId || null,
+      message_id: ref.messageId || null,
+      name: ref.name || ref.fileId || "attachment",
+      path: "",
+      link: "",
+      size: 0,
+      error: null
+    };
+    attachments.set(ref.key, entry);
+
+    if (maxBytes && ref.size && ref.size > maxBytes) {
+      entry.error = "Attachment exceeds size limit";
+      continue;
+    }
+
+    try {
+      const prefix = ref.source === "sandbox"
+        ? `${String(ref.messageId).slice(0, 8)}-${sanitizeFileName(ref.name, "file")}`
+        : ref.fileId;
+      const existing = await findFileWithPrefix(rootHandle, folder, prefix);
+      if (existing) {
+        entry.path = `${folder}/${existing}`;
+        if (!ref.name) {
+          entry.name = existing.slice(prefix.length + 1) || existing;
+        }
+        continue;
+      }
+      let resolved;
+      let blob;
+      const cached = cache ? cache.get(ref.key) : null;
+      if (cached) {
+        resolved = { fileName: cached.fileName };
+        blob = cached.blob;
+      } else if (localFiles) {
+        const local = ref.fileId ? localFiles.get(ref.fileId) : null;
+        if (!local) {
+          throw new Error("Not included in the export");
+        }
+        if (!local.data || (maxBytes && local.size > maxBytes)) {
+          throw new Error("Attachment exceeds size limit");
+        }
+        resolved = { fileName: local.name || "" };
+        blob = dataUrlToBlob(local.data, local.type || ref.mimeType);
+      } else {
+        resolved = await resolveAttachmentUrl(conversationId, ref, accessToken);
+        blob = await fetchBlob(resolved.url, accessToken, maxBytes);
+      }
+      if (cache) {
+        cache.set(ref.key, { blob, fileName: resolved.fileName });
+      }
+      const name =
+        ref.name || (await redactName(resolved.fileName)) || `${ref.fileId}${extensionForMime(blob.type || ref.mimeType)}`;
+      const fileName = ref.source === "sandbox" ? prefix : `${prefix}-${sanitizeFileName(name, "file")}`;
+      entry.name = name;
+      entry.size = blob.size;
+      entry.path = `${folder}/${fileName}`;
+      await writeFile(rootHandle, entry.path, blob);
+    } catch (err) {
+      entry.path = "";
+      entry.error = err.message || "Download failed";
+    }
+  }
+
+  for (const entry of attachments.values()) {
+    if (entry.path) {
+      entry.link = entry.path.slice(linkPrefix.length);
+    }
+  }
+  return attachments;
+}
+
+// Attachments over the size limit are skipped on purpose; any other failure
+// is a file the next run should try again.
+function countMissingAttachments(attachments) {
+  let count = 0;
+  for (const entry of attachments.values()) {
+    if (entry.error && entry.error !== "Attachment exceeds size limit") {
+      count += 1;
+    }
+  }
+  return count;
+}
+
+async function deleteDirectory(rootHandle, relativePath) {
+  moveIntegrityEntries(rootHandle, relativePath, null);
+  const parts = relativePath.split("/").filter(Boolean);
+  const name = parts.pop();
+  const parent = await getDirectoryIfExists(rootHandle, parts.join("/"));
+  if (!parent || !name) {
+    return;
+  }
+  try {
+    await parent.removeEntry(name, { recursive: true });
+  } catch (err) {
+    if (err && err.name === "NotFoundError") {
+      return;
+    }
+    throw err;
+  }
+}
+
+function slugify(value) {
+  const slug = String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80)
+    .replace(/-+$/g, "");
+  return slug || "untitled";
+}
+
+function pad2(value) {
+  return String(value).padStart(2, "0");
+}
+
+function renderPathTemplate(template, info) {
+  const id = String(info.id || "");
+  const created = new Date(toEpochSeconds(info.create_time) * 1000);
+  const validDate = toEpochSeconds(info.create_time) > 0 && !Number.isNaN(created.getTime());
+  const values = {
+    id,
+    shortid: id.replace(/-/g, "").slice(0, 8),
+    title: info.title || "Untitled",
+    yyyy: validDate ? String(created.getUTCFullYear()) : "unknown",
+    mm: validDate ? pad2(created.getUTCMonth() + 1) : "00",
+    dd: validDate ? pad2(created.getUTCDate()) : "00",
+    project: info.project_name || info.project_id || "",
+    gizmo: info.gizmo_name || info.gizmo_id || "",
+    group: info.project_name || info.project_id || info.gizmo_name || info.gizmo_id || ""
+  };
+  const transforms = {
+    slug: slugify,
+    lower: (value) => String(value).toLowerCase()
+  };
+
+  const rendered = String(template || DEFAULT_PATH_TEMPLATE).replace(
+    /\{([a-z]+)(?:\(([a-z]+)\))?\}/gi,
+    (match, name, arg) => {
+      const key = (arg || name).toLowerCase();
+      const transform = arg ? transforms[name.toLowerCase()] : null;
+      if (!Object.prototype.hasOwnProperty.call(values, key) || (arg && !transform)) {
+        return match;
+      }
+      // Group tokens are empty for chats outside a project or GPT, which drops
+      // the segment instead of slugging it to "untitled".
+      const value = transform && values[key] ? transform(values[key]) : values[key];
+      return String(value).replace(/[/\\]+/g, "-");
+    }
+  );
+
+  const segments = rendered
+    .split("/")
+    .map((segment) => sanitizeFileName(segment.trim(), ""))
+    .filter((segment) => segment && segment !== "." && segment !== "..");
+  return segments.length ? segments.join("/") : id;
+}
+
+function createPathRegistry(template, metaMap) {
+  const owners = new Map();
+  const assigned = new Map();
+
+  for (const [id, meta] of Object.entries(metaMap || {})) {
+    const path = meta && meta.path ? meta.path : id;
+    assigned.set(id, path);
+    owners.set(path.toLowerCase(), id);
+  }
+
+  // Paths are compared case-insensitively so two chats never share a file on
+  // macOS or Windows volumes.
+  const isTaken = (path, id) => {
+    const owner = owners.get(path.toLowerCase());
+    return owner !== undefined && owner !== id;
+  };
+
+  return {
+    previous(id) {
+      return assigned.get(id) || id;
+    },
+    resolve(id, info) {
+      const base = renderPathTemplate(template, { ...info, id });
+      const shortId = id.replace(/-/g, "").slice(0, 8);
+      const candidates = [base, `${base}-${shortId}`, `${base}-${id}`];
+      const path = candidates.find((candidate) => !isTaken(candidate, id)) || `${base}-${id}`;
+      const current = assigned.get(id);
+      if (current && current.toLowerCase() !== path.toLowerCase() && owners.get(current.toLowerCase()) === id) {
+        owners.delete(current.toLowerCase());
+      }
+      assigned.set(id, path);
+      owners.set(path.toLowerCase(), id);
+      return path;
+    },
+    matches(id, info) {
+      const base = renderPathTemplate(template, { ...info, id });
+      const shortId = id.replace(/-/g, "").slice(0, 8);
+      const current = assigned.get(id) || id;
+      return [base, `${base}-${shortId}`, `${base}-${id}`].includes(current);
+    },
+    isOwnedByOther(path, id) {
+      return isTaken(path, id);
+    },
+    release(id) {
+      const current = assigned.get(id);
+      if (current && owners.get(current.toLowerCase()) === id) {
+        owners.delete(current.toLowerCase());
+      }
+      assigned.delete(id);
+    }
+  };
+}
+
+async function copyDirectory(sourceDir, targetDir) {
+  for await (const [name, handle] of sourceDir.entries()) {
+    if (handle.kind === "directory") {
+      const child = await targetDir.getDirectoryHandle(name, { create: true });
+      await copyDirectory(handle, child);
+    } else {
+      const file = await handle.getFile();
+      const targetFile = await targetDir.getFileHandle(name, { create: true });
+      await writeFileHandle(targetFile, file);
+    }
+  }
+}
+
+// Paths that differ only in case open the same entry on macOS and Windows
+// volumes; moving one onto the other would copy it onto itself and then
+// delete it. Moves between such paths are refused, and moveConversation
+// routes case-only renames through a temporary name.
+function isSameMovePath(fromPath, toPath) {
+  return fromPath.toLowerCase() === toPath.toLowerCase();
+}
+
+async function moveDirectory(rootHandle, fromPath, toPath) {
+  if (isSameMovePath(fromPath, toPath)) {
+    return;
+  }
+  const source = await getDirectoryIfExists(rootHandle, fromPath);
+  if (!source) {
+    return;
+  }
+  let target = rootHandle;
+  for (const part of toPath.split("/").filter(Boolean)) {
+    target = await target.getDirectoryHandle(part, { create: true });
+  }
+  await copyDirectory(source, target);
+  moveIntegrityEntries(rootHandle, fromPath, toPath);
+  await deleteDirectory(rootHandle, fromPath);
+}
+
+async function deleteDirectoryIfEmpty(rootHandle, relativePath) {
+  const dir = await getDirectoryIfExists(rootHandle, relativePath);
+  if (!dir) {
+    return;
+  }
+  for await (const entry of dir.keys()) {
+    if (entry) {
+      return;
+    }
+  }
+  await deleteDirectory(rootHandle, relativePath);
+}
+
+async function writeConversation(
+  rootHandle,
+  options,
+  conversation,
+  messages,
+  markdown,
+  updateTimeOverride,
+  attachments,
+  basePath,
+  details
+) {
+  const id = conversation.id || conversation.conversation_id;
+  if (!id) {
+    throw new Error("Missing conversation id");
+  }
+  const createTimeSeconds = toEpochSeconds(conversation.create_time);
+  const conversationUpdateSeconds = toEpochSeconds(conversation.update_time);
+  const updateTimeSeconds = Number.isFinite(updateTimeOverride)
+    ? updateTimeOverride
+    : conversationUpdateSeconds;
+  const meta = {
+    id,
+    title: conversation.title || "",
+    create_time: createTimeSeconds,
+    update_time: updateTimeSeconds,
+    is_archived: Boolean(details && details.is_archived),
+    ...getGroupMeta(details),
+    ...getRedactionMeta(details),
+    path: basePath,
+    url: `https://chatgpt.com/c/${id}`,
+    source: "chatgpt.com"
+  };
+
+  let versions = null;
+  if (options.includeJson || options.keepHistory) {
+    const payload = {
+      meta,
+      messages,
+      ...(attachments && attachments.size
+        ? {
+            attachments: Array.from(attachments.values()).map(({ link, ...entry }) => entry)
+          }
+        : {}),
+      raw: conversation
+    };
+    const payloadText = JSON.stringify(payload, null, 2);
+    if (options.keepHistory) {
+      versions = await recordHistory(rootHandle, options, basePath, payloadText, updateTimeSeconds);
+    }
+    if (options.includeJson) {
+      await writeFile(rootHandle, `conversations/${basePath}.json`, payloadText);
+    }
+  }
+
+  if (options.includeMarkdown && markdown) {
+    await writeFile(rootHandle, `conversations/${basePath}.md`, markdown);
+  }
+
+  if (options.includeHtml) {
+    await writeFile(
+      rootHandle,
+      `conversations/${basePath}.html`,
+      toConversationHtml(conversation, messages, updateTimeSeconds, basePath)
+    );
+  }
+  return versions;
+}
+
+function historyFileName(updateTime) {
+  return `${Number.isFinite(updateTime) ? updateTime : 0}.json`;
+}
+
+async function listHistoryVersions(rootHandle, basePath) {
+  const dir = await getDirectoryIfExists(rootHandle, `conversations/${basePath}/history`);
+  if (!dir) {
+    return [];
+  }
+  const versions = [];
+  for await (const [name, handle] of dir.entries()) {
+    if (handle.kind !== "file" || !name.endsWith(".json")) {
+      continue;
+    }
+    const value = Number.parseFloat(name.slice(0, -5));
+    if (Number.isFinite(value)) {
+      versions.push(value);
+    }
+  }
+  return versions.sort((a, b) => a - b);
+}
+
+// Every written version is kept as history/<update_time>.json. The JSON that
+// is about to be replaced is archived first, so turning history on keeps the
+// version that was already on disk.
+async function recordHistory(rootHandle, options, basePath, payloadText, updateTime) {
+  const folder = `conversations/${basePath}/history`;
+  if (options.includeJson) {
+    const previousText = await readTextFile(rootHandle, `conversations/${basePath}.json`);
+    let previousTime = 0;
+    try {
+      const previous = previousText ? JSON.parse(previousText) : null;
+      previousTime = previous && previous.meta ? toEpochSeconds(previous.meta.update_time) : 0;
+    } catch (err) {
+      previousTime = 0;
+    }
+    const previousFile = `${folder}/${historyFileName(previousTime)}`;
+    if (previousTime && previousTime !== updateTime && !(await fileExists(rootHandle, previousFile))) {
+      await writeFile(rootHandle, previousFile, previousText);
     }
   }
+  await writeFile(rootHandle, `${folder}/${historyFileName(updateTime)}`, payloadText);
 
-  const fileName = parts[parts.length - 1];
+  const versions = await listHistoryVersions(rootHandle, basePath);
+  const retention = Math.max(1, Number.parseInt(options.historyRetention, 10) || 10);
+  const expired = versions.slice(0, Math.max(0, versions.length - retention));
+  for (const version of expired) {
+    await deleteFile(rootHandle, `${folder}/${historyFileName(version)}`);
+  }
+  return versions.slice(expired.length);
+}
+
+async function moveConversation(rootHandle, options, fromPath, toPath) {
+  if (fromPath !== toPath && isSameMovePath(fromPath, toPath)) {
+    const tempPath = `${toPath}-renaming`;
+    await moveConversation(rootHandle, options, fromPath, tempPath);
+    await moveConversation(rootHandle, options, tempPath, toPath);
+    return;
+  }
+  for (const folder of CONVERSATION_SUBFOLDERS) {
+    await moveDirectory(rootHandle, `conversations/${fromPath}/${folder}`, `conversations/${toPath}/${folder}`);
+  }
+  // The files are moved rather than deleted: the caller rewrites them at the
+  // new path, and recordHistory has to find the previous .json there first.
+  const formats = [options.includeJson && "json", options.includeMarkdown && "md", options.includeHtml && "html"];
+  for (const ext of formats.filter(Boolean)) {
+    await moveFile(rootHandle, `conversations/${fromPath}.${ext}`, `conversations/${toPath}.${ext}`);
+  }
+  await deleteDirectoryIfEmpty(rootHandle, `conversations/${fromPath}`);
+}
+
+function getTrashFolder(date) {
+  return `${TRASH_FOLDER}/${date.toISOString().slice(0, 10)}`;
+}
+
+async function moveFile(rootHandle, fromPath, toPath) {
+  if (isSameMovePath(fromPath, toPath)) {
+    return;
+  }
+  const parts = fromPath.split("/").filter(Boolean);
+  const name = parts.pop();
+  const dir = await getDirectoryIfExists(rootHandle, parts.join("/"));
+  if (!dir || !name) {
+    return;
+  }
+  let file;
   try {
-    await dir.removeEntry(fileName);
+    file = await (await dir.getFileHandle(name, { create: false })).getFile();
   } catch (err) {
     if (err && err.name === "NotFoundError") {
       return;
     }
     throw err;
   }
+  await writeRawFile(rootHandle, toPath, file);
+  moveIntegrityEntries(rootHandle, fromPath, toPath);
+  await deleteFile(rootHandle, fromPath);
 }
 
-async function writeConversation(rootHandle, options, conversation, messages, markdown, updateTimeOverride) {
-  const id = conversation.id || conversation.conversation_id;
-  if (!id) {
-    throw new Error("Missing conversation id");
+async function isTrashPathInUse(rootHandle, trashPath) {
+  for (const ext of CONVERSATION_FILE_EXTENSIONS) {
+    if (await fileExists(rootHandle, `${trashPath}.${ext}`)) {
+      return true;
+    }
   }
-  const createTimeSeconds = toEpochSeconds(conversation.create_time);
-  const conversationUpdateSeconds = toEpochSeconds(conversation.update_time);
-  const updateTimeSeconds = Number.isFinite(updateTimeOverride)
-    ? updateTimeOverride
-    : conversationUpdateSeconds;
-  const meta = {
-    id,
-    title: conversation.title || "",
-    create_time: createTimeSeconds,
-    update_time: updateTimeSeconds,
-    url: `https://chatgpt.com/c/${id}`,
-    source: "chatgpt.com"
-  };
+  return Boolean(await getDirectoryIfExists(rootHandle, trashPath));
+}
 
-  if (options.includeJson) {
-    const payload = {
-      meta,
-      messages,
-      raw: conversation
-    };
-    await writeFile(rootHandle, `conversations/${id}.json`, JSON.stringify(payload, null, 2));
+// Removed conversations keep their relative layout under .trash/<date>/ so
+// they can be restored by moving the folder back. Every format is moved, even
+// ones that are currently disabled. A path already trashed that day (another
+// chat with the same title, or the same one synced back and removed again) is
+// not overwritten: the new copy gets the conversation id, then the time, as a
+// suffix.
+async function trashConversation(rootHandle, basePath, trashFolder, id) {
+  let trashPath = `${trashFolder}/conversations/${basePath}`;
+  if (await isTrashPathInUse(rootHandle, trashPath)) {
+    trashPath = `${trashFolder}/conversations/${basePath}-${id}`;
   }
-
-  if (options.includeMarkdown && markdown) {
-    await writeFile(rootHandle, `conversations/${id}.md`, markdown);
+  if (await isTrashPathInUse(rootHandle, trashPath)) {
+    trashPath = `${trashFolder}/conversations/${basePath}-${id}-${Date.now()}`;
   }
+  for (const ext of CONVERSATION_FILE_EXTENSIONS) {
+    await moveFile(rootHandle, `conversations/${basePath}.${ext}`, `${trashPath}.${ext}`);
+  }
+  for (const folder of CONVERSATION_SUBFOLDERS) {
+    await moveDirectory(rootHandle, `conversations/${basePath}/${folder}`, `${trashPath}/${folder}`);
+  }
+  await deleteDirectoryIfEmpty(rootHandle, `conversations/${basePath}`);
 }
 
-async function deleteConversation(rootHandle, options, id) {
-  if (options.includeJson) {
-    await deleteFile(rootHandle, `conversations/${id}.json`);
+async function purgeTrash(rootHandle, retentionDays) {
+  if (!(retentionDays > 0)) {
+    return 0;
   }
-  if (options.includeMarkdown) {
-    await deleteFile(rootHandle, `conversations/${id}.md`);
+  const trash = await getDirectoryIfExists(rootHandle, TRASH_FOLDER);
+  if (!trash) {
+    return 0;
+  }
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  const expired = [];
+  for await (const [name, handle] of trash.entries()) {
+    if (handle.kind !== "directory" || !/^\d{4}-\d{2}-\d{2}$/.test(name)) {
+      continue;
+    }
+    if (Date.parse(`${name}T00:00:00Z`) < cutoff) {
+      expired.push(name);
+    }
+  }
+  for (const name of expired) {
+    await deleteDirectory(rootHandle, `${TRASH_FOLDER}/${name}`);
+  }
+  return expired.length;
+}
+
+function exceedsDeletionGuard(options, removedCount, knownCount) {
+  const maxCount = Number.parseInt(options.deleteGuardCount, 10);
+  const maxPercent = Number.parseFloat(options.deleteGuardPercent);
+  if (maxCount > 0 && removedCount > maxCount) {
+    return true;
   }
+  return maxPercent > 0 && knownCount > 0 && (removedCount / knownCount) * 100 > maxPercent;
 }
 
-async function writeIndex(rootHandle, indexSource) {
+async function writeIndex(rootHandle, indexSource, htmlArchive) {
   const entries = Array.isArray(indexSource)
     ? indexSource
     : indexSource instanceof Map
@@ -568,23 +3061,73 @@ async function writeIndex(rootHandle, indexSource) {
   const payload = {
     generated_at: new Date().toISOString(),
     count: entries.length,
+    html_archive: htmlArchive === true,
     conversations: entries
   };
   await writeFile(rootHandle, "index.json", JSON.stringify(payload, null, 2));
+  // The journal is folded into the index that was just written.
+  await deleteDirectory(rootHandle, INDEX_JOURNAL_FOLDER);
+}
+
+// index.json is rewritten only at the end of a run, so every conversation
+// written before that also gets one journal file, .index-journal/<id>.json,
+// holding its index entry. A run that never reaches the end leaves the
+// journal behind, and the next read applies it on top of index.json.
+async function journalIndexEntry(rootHandle, entry) {
+  await writeFile(rootHandle, `${INDEX_JOURNAL_FOLDER}/${entry.id}.json`, JSON.stringify(entry));
+}
+
+async function readIndexJournal(rootHandle) {
+  const dir = await getDirectoryIfExists(rootHandle, INDEX_JOURNAL_FOLDER);
+  if (!dir) {
+    return [];
+  }
+  const entries = [];
+  for (const file of await listFolderFiles(dir, INDEX_JOURNAL_FOLDER, [])) {
+    const entry = await readJsonFile(rootHandle, file.path);
+    if (entry && entry.id) {
+      entries.push(entry);
+    }
+  }
+  return entries;
+}
+
+// The entries of index.json with the journal applied, or null when the
+// folder has neither. A torn index.json counts as empty, so the journal
+// written before the crash still comes through.
+async function readIndexEntries(rootHandle) {
+  let payload = null;
+  try {
+    const text = await readTextFile(rootHandle, "index.json");
+    payload = text === null ? null : JSON.parse(text);
+  } catch (err) {
+    if (err.code === "encrypted") {
+      throw err;
+    }
+  }
+  const listed = payload && Array.isArray(payload.conversations) ? payload.conversations : null;
+  const journal = await readIndexJournal(rootHandle);
+  if (!listed && !journal.length) {
+    return null;
+  }
+  const entries = new Map();
+  for (const entry of [...(listed || []), ...journal]) {
+    if (entry && entry.id) {
+      entries.set(entry.id, entry);
+    }
+  }
+  return Array.from(entries.values());
 }
 
 async function readIndex(rootHandle) {
   try {
-    const fileHandle = await rootHandle.getFileHandle("index.json", { create: false });
-    const file = await fileHandle.getFile();
-    const text = await file.text();
-    const payload = JSON.parse(text);
-    if (!payload || !Array.isArray(payload.conversations)) {
+    const entries = await readIndexEntries(rootHandle);
+    if (!entries) {
       return null;
     }
     const conversations = {};
     const meta = {};
-    for (const entry of payload.conversations) {
+    for (const entry of entries) {
       if (!entry || !entry.id) {
         continue;
       }
@@ -597,13 +3140,19 @@ async function readIndex(rootHandle) {
         id: entry.id,
         title: entry.title || "",
         create_time: createTime,
-        update_time: updateTime
+        update_time: updateTime,
+        is_archived: entry.is_archived === true,
+        ...getGroupMeta(entry),
+        ...getRedactionMeta(entry),
+        ...(typeof entry.path === "string" && entry.path ? { path: entry.path } : {}),
+        ...(Array.isArray(entry.versions) ? { versions: entry.versions } : {})
       };
     }
     return { conversations, meta };
   } catch (err) {
-    if (err && err.name === "NotFoundError") {
-      return null;
+    // An index that cannot be decrypted must not pass for an empty archive.
+    if (err && err.code === "encrypted") {
+      throw err;
     }
     return null;
   }
@@ -686,10 +3235,25 @@ function setIndicator(state, title) {
   uiState.indicator.title = title;
 }
 
+function updateControlButtons(syncing, status) {
+  if (!uiState || !uiState.pauseButton) {
+    return;
+  }
+  const paused = !!(status && status.paused);
+  const cancelling = !!(status && status.cancelRequested);
+  uiState.controls.hidden = !syncing;
+  uiState.pauseButton.textContent = paused ? "Resume" : "Pause";
+  uiState.pauseButton.disabled = cancelling;
+  uiState.cancelButton.disabled = cancelling;
+}
+
 function applyGlobalStatus(status) {
   cachedGlobalStatus = status || null;
   const syncing = syncInProgress || isGlobalSyncing(status);
-  if (syncing) {
+  updateControlButtons(syncing, status);
+  if (syncing && status && status.paused) {
+    setIndicator("idle", "Paused");
+  } else if (syncing) {
     const progress = status && status.progress ? status.progress : null;
     const title = progress && progress.total
       ? `Syncing: ${formatCount(progress.processed || 0)} / ${formatCount(progress.total)}`
@@ -697,6 +3261,8 @@ function applyGlobalStatus(status) {
     setIndicator("syncing", title);
   } else if (status && status.lastError) {
     setIndicator("error", status.lastError);
+  } else if (status && status.lastSyncResult === "cancelled") {
+    setIndicator("idle", `Cancelled: ${status.lastSyncFinishedAt}`);
   } else if (status && status.lastSyncFinishedAt) {
     setIndicator("ok", `Synced: ${status.lastSyncFinishedAt}`);
   } else {
@@ -723,8 +3289,9 @@ function applyGlobalStatus(status) {
     updateStatus(`Error: ${status.lastError}`);
   } else if (status && status.lastSyncSummary) {
     const summary = status.lastSyncSummary;
+    const label = status.lastSyncResult === "cancelled" ? "Sync cancelled" : "Last sync";
     updateStatus(
-      `Last sync: ${summary.updated || 0} updated, ${summary.skipped || 0} unchanged, ${summary.errors || 0} errors.`
+      `${label}: ${summary.updated || 0} updated, ${summary.skipped || 0} unchanged, ${summary.errors || 0} errors.`
     );
   } else {
     updateStatus("Idle");
@@ -732,6 +3299,72 @@ function applyGlobalStatus(status) {
   updateProgress(0, 0, false);
 }
 
+function describeDestinationHealth(health) {
+  switch (health.access) {
+    case "missing":
+      return "No folder";
+    case "prompt":
+      return "Access needed";
+    case "unavailable":
+      return "Unavailable";
+    default:
+      return health.lastRunErrors ? `${health.lastRunErrors} errors` : health.folder || "Ready";
+  }
+}
+
+function connectDestination(destination) {
+  if (!activeAccount) {
+    updateStatus("Detecting the ChatGPT account...");
+    return;
+  }
+  ensureHandleWithPrompt(getDestinationHandleKey(destination.id))
+    .then(() => refreshDestinationStatus(cachedStoredOptions))
+    .catch((err) => {
+      if (err && err.name === "AbortError") {
+        updateStatus("Folder selection cancelled.");
+      } else if (err && err.code === "permission") {
+        updateStatus(`Folder access denied for ${destination.name}.`);
+      } else {
+        updateStatus(`Unable to access the folder for ${destination.name}.`);
+      }
+    });
+}
+
+// The main folder has its own line; extra destinations get one row each with
+// a button whenever a folder pick or permission grant is needed.
+function renderDestinationRows() {
+  if (!uiState) {
+    return;
+  }
+  const list = uiState.destinations;
+  const extras = getDestinations(cachedStoredOptions || {}).filter((destination) => !destination.primary);
+  list.textContent = "";
+  list.hidden = extras.length === 0;
+  for (const destination of extras) {
+    const health = cachedDestinationStatus[destination.id] || {};
+    const row = document.createElement("div");
+    row.className = "destination";
+    row.title = health.lastError || "";
+    const name = document.createElement("span");
+    name.className = "destination-name";
+    name.textContent = destination.name;
+    const state = document.createElement("span");
+    state.className = health.access === "granted" && !health.lastRunErrors
+      ? "destination-state"
+      : "destination-state error";
+    state.textContent = describeDestinationHealth(health);
+    row.append(name, state);
+    if (health.access === "missing" || health.access === "prompt") {
+      const button = document.createElement("button");
+      button.className = "secondary";
+      button.textContent = health.access === "missing" ? "Choose folder" : "Grant access";
+      button.addEventListener("click", () => connectDestination(destination));
+      row.appendChild(button);
+    }
+    list.appendChild(row);
+  }
+}
+
 function isExpanded() {
   return !!(uiState && uiState.container && uiState.container.dataset.expanded === "true");
 }
@@ -786,6 +3419,18 @@ function safePost(port, message) {
   }
 }
 
+// Long work inside a single step (attachment downloads, retries, folder
+// walks) posts this so the background watchdog does not stop the run as
+// stalled. Outside a sync it does nothing.
+function sendSyncHeartbeat() {
+  const now = Date.now();
+  if (!activeSyncPort || now - lastHeartbeatAt < SYNC_HEARTBEAT_MS) {
+    return;
+  }
+  lastHeartbeatAt = now;
+  safePost(activeSyncPort, { type: "sync-heartbeat" });
+}
+
 function maybeSendProgress(port, processed, total, cursor, force) {
   const now = Date.now();
   if (!force && now - lastProgressSentAt < PROGRESS_THROTTLE_MS) {
@@ -796,7 +3441,7 @@ function maybeSendProgress(port, processed, total, cursor, force) {
     type: "sync-progress",
     processed,
     total,
-    status: "Syncing",
+    status: syncPaused ? "Paused" : describeRequestLimiter() || "Syncing",
     ...(cursor ? { cursor } : {})
   });
 }
@@ -807,7 +3452,8 @@ async function runSync(
   knownConversations,
   knownMeta,
   lastFullInventoryAt,
-  inventoryCursor
+  inventoryCursor,
+  targetIds
 ) {
   if (syncInProgress) {
     updateStatus("Sync already in progress.");
@@ -816,8 +3462,16 @@ async function runSync(
   }
 
   setSyncing(true);
+  activeSyncPort = port;
+  syncStopRequested = false;
+  syncCancelRequested = false;
+  syncPaused = false;
   updateStatus("Starting sync...");
   updateProgress(0, 0);
+  // Without the header, backend calls answer for the personal account even
+  // while a workspace is selected.
+  requestAccountId =
+    options.sendAccountHeader !== false && activeAccount ? activeAccount.accountId : "";
 
   let rootHandle;
   try {
@@ -835,46 +3489,91 @@ async function runSync(
   }
 
   try {
+    // A broken rule could let excluded chats into the archive, so refuse to run.
+    const syncFilter = createSyncFilter(options);
+    if (syncFilter.errors.length) {
+      throw new Error("Fix the sync rules in Options before syncing.");
+    }
+    const redactor = createRedactor(options, options.redactMode === "hash" ? await loadRedactionKey() : null);
+    if (redactor.errors.length) {
+      throw new Error("Fix the redaction patterns in Options before syncing.");
+    }
+    await prepareEncryption(options);
+
     const indexState = await readIndex(rootHandle);
     if (indexState) {
       const merged = mergeKnownState(knownConversations, knownMeta, indexState);
       knownConversations = merged.conversations;
       knownMeta = merged.meta;
+    } else if (!Object.keys(knownConversations).length) {
+      // Nothing is known about this folder: it may hold an archive synced on
+      // another machine, so recover its index before listing.
+      updateStatus("Rebuilding from folder...");
+      const rebuilt = await rebuildIndexFromFolder(rootHandle, options);
+      if (Object.keys(rebuilt.meta).length) {
+        knownMeta = rebuilt.meta;
+        knownConversations = {};
+        for (const [id, meta] of Object.entries(rebuilt.meta)) {
+          knownConversations[id] = meta.update_time;
+        }
+        safePost(port, { type: "state-rebuilt", meta: rebuilt.meta });
+      }
     }
 
     const accessToken = await getAccessToken();
-    const forceFullInventory = shouldForceFullInventory(
-      options,
-      knownConversations,
-      lastFullInventoryAt
-    );
-    const resumeOffset = forceFullInventory ? getResumeOffset(inventoryCursor) : 0;
+    const targeted = Array.isArray(targetIds) && targetIds.length > 0;
+    const forceFullInventory =
+      !targeted && shouldForceFullInventory(options, knownConversations, lastFullInventoryAt);
+    const resumeCursor = forceFullInventory ? getResumeCursor(inventoryCursor) : { offset: 0, archived: false };
     const stopAfterTime = forceFullInventory ? null : getMaxKnownUpdateTime(knownConversations);
     updateStatus("Loading conversations...");
     safePost(port, {
       type: "sync-mode",
       fullInventory: forceFullInventory,
-      resumeOffset,
+      targeted,
+      resumeOffset: resumeCursor.offset,
+      resumeArchived: resumeCursor.archived,
       limit: 100
     });
     let processed = 0;
     let updatedCount = 0;
     let skippedCount = 0;
     let errorCount = 0;
+    let excludedCount = 0;
     let didFullInventory = forceFullInventory;
+    // A resumed inventory never lists the pages before its cursor, nor any
+    // active chat when it resumes among the archived ones. It still completes
+    // the inventory, but nothing it did not see is treated as removed.
+    const listedFromStart = resumeCursor.offset === 0 && !resumeCursor.archived;
     let listedCount = 0;
     let totalHint = 0;
-    let offset = resumeOffset;
+    let offset = resumeCursor.offset;
     let limit = 100;
     let pageCount = 0;
     const maxPages = 200;
     let listComplete = false;
 
-    const metaMap = { ...(knownMeta || {}) };
+    const { targets, unavailable } = await openDestinationTargets(options, rootHandle, {
+      ...(knownMeta || {})
+    });
+    const metaMap = targets[0].metaMap;
+    const paths = targets[0].paths;
+    const extraTargets = targets.slice(1);
     const currentIds = new Set();
     const parallelLimit = clampParallelFetch(options.maxParallelFetch);
     const progressTotal = () => Math.max(totalHint || 0, listedCount || 0);
 
+    resetRequestLimiter(parallelLimit, () => {
+      updateStatus(describeRequestLimiter() || "Syncing...");
+      maybeSendProgress(
+        port,
+        processed,
+        getProgressTarget(processed, progressTotal(), listComplete),
+        null,
+        true
+      );
+    });
+
     updateProgress(0, 0, false);
     maybeSendProgress(port, 0, 0);
 
@@ -896,7 +3595,7 @@ async function runSync(
           port,
           processed,
           target,
-          { offset: state.nextOffset, limit: state.limit },
+          { offset: state.nextOffset, limit: state.limit, archived: state.archived },
           true
         );
         nextCursorIndex += 1;
@@ -927,6 +3626,11 @@ async function runSync(
     };
 
     const dequeueItem = () => {
+      if (syncStopRequested) {
+        pendingFetches = Math.max(0, pendingFetches - queue.length);
+        queue.length = 0;
+        return Promise.resolve(null);
+      }
       if (queue.length) {
         return Promise.resolve(queue.shift());
       }
@@ -941,29 +3645,55 @@ async function runSync(
       const updateTime = toEpochSeconds(item.update_time) || toEpochSeconds(item.create_time);
       try {
         const conversation = await fetchConversation(id, accessToken);
-        const messages = extractMessages(conversation);
-        const conversationUpdate = toEpochSeconds(conversation && conversation.update_time);
-        const metaUpdateTime = Math.max(updateTime, conversationUpdate);
-        const markdown = options.includeMarkdown ? toMarkdown(conversation, messages, metaUpdateTime) : "";
+        const archived = item.is_archived === true || conversation.is_archived === true;
+        const groups = await resolveConversationGroups(
+          {
+            gizmo_id: conversation.gizmo_id || item.gizmo_id,
+            conversation_template_id:
+              conversation.conversation_template_id || item.conversation_template_id
+          },
+          accessToken,
+          metaMap[id]
+        );
         const createTimeSeconds =
           toEpochSeconds(conversation.create_time) || toEpochSeconds(item.create_time);
-        metaMap[id] = {
-          id,
-          title: conversation.title || item.title || "",
-          create_time: createTimeSeconds,
-          update_time: metaUpdateTime
-        };
-
-        await writeConversation(rootHandle, options, conversation, messages, markdown, metaUpdateTime);
+        const title = await redactText(redactor, conversation.title || item.title || "");
+        const conversationUpdate = toEpochSeconds(conversation && conversation.update_time);
+        const metaUpdateTime = Math.max(updateTime, conversationUpdate);
+        const written = await writeToDestinations(
+          targets,
+          conversation,
+          {
+            title: title.text,
+            title_redactions: title.count,
+            create_time: createTimeSeconds,
+            update_time: metaUpdateTime,
+            is_archived: archived,
+            ...groups
+          },
+          { accessToken, redactor }
+        );
+        const { path, messages, versions, redaction, missingAttachments } = written;
 
         safePost(port, {
           type: "conversation",
           id,
-          title: conversation.title || item.title || "",
+          title: title.text,
           create_time: createTimeSeconds,
-          update_time: metaUpdateTime
+          update_time: written.update_time,
+          is_archived: archived,
+          ...groups,
+          ...redaction,
+          path,
+          ...(Array.isArray(versions) ? { versions } : {}),
+          ...(missingAttachments ? { missing_attachments: missingAttachments } : {}),
+          search: toSearchMessages(messages)
         });
-        updatedCount += 1;
+        if (missingAttachments) {
+          errorCount += 1;
+        } else {
+          updatedCount += 1;
+        }
       } catch (err) {
         errorCount += 1;
         safePost(port, {
@@ -981,28 +3711,98 @@ async function runSync(
       }
     };
 
-    const workers = Array.from({ length: parallelLimit }, async () => {
+    // Workers above the adaptive limit idle while throttled and rejoin as the
+    // limiter recovers.
+    const waitForWorkerSlot = async (index) => {
+      while (
+        index >= requestLimiter.parallelLimit &&
+        !syncStopRequested &&
+        !(listingDone && !queue.length)
+      ) {
+        await sleep(1000);
+      }
+    };
+
+    const workers = Array.from({ length: parallelLimit }, async (_, index) => {
       for (;;) {
+        await waitWhilePaused();
+        await waitForWorkerSlot(index);
         const payload = await dequeueItem();
         if (!payload) {
           return;
         }
+        // An item handed straight to a waiting worker may arrive after a
+        // pause; hold it until resumed, and drop it if the run stops.
+        await waitWhilePaused();
+        if (syncStopRequested) {
+          pendingFetches = Math.max(0, pendingFetches - 1);
+          return;
+        }
         await processItem(payload.item, payload.pageIndex);
       }
     });
 
-    let pagePromise = fetchConversationPage(accessToken, offset, limit);
+    // Targeted runs refetch only the requested conversations and never list,
+    // so they cannot prune or delete anything.
+    if (targeted) {
+      const uniqueIds = Array.from(new Set(targetIds));
+      listedCount = uniqueIds.length;
+      for (const id of uniqueIds) {
+        currentIds.add(id);
+        const known = metaMap[id] || {};
+        // Targeted runs never list, so the rules are checked against the
+        // index entry; ids not in the index only face the blocklist.
+        const exclusion =
+          metaMap[id] || syncFilter.blocked.has(id) ? getExclusionReason(syncFilter, id, known) : "";
+        if (exclusion) {
+          processed += 1;
+          excludedCount += 1;
+          safePost(port, {
+            type: "conversation-excluded",
+            id,
+            title: known.title || "",
+            create_time: known.create_time || 0,
+            update_time: known.update_time || 0,
+            reason: exclusion
+          });
+          continue;
+        }
+        enqueueItem(
+          { id, title: known.title || "", create_time: known.create_time || 0, update_time: 0 },
+          -1
+        );
+      }
+      updateStatus("Syncing selected conversations...");
+    }
+
+    // Archived chats come from a second listing after the active ones. Full
+    // inventories always read it, so archiving a chat never looks like a
+    // removal; otherwise it is only read when archived chats are synced.
+    let listingArchived = resumeCursor.archived;
+    const listArchived = forceFullInventory || options.syncArchived !== false;
+    const startArchivedListing = () => {
+      if (listingArchived || !listArchived || syncStopRequested) {
+        return null;
+      }
+      listingArchived = true;
+      offset = 0;
+      return fetchConversationPage(accessToken, 0, limit, true);
+    };
+
+    let pagePromise = targeted ? null : fetchConversationPage(accessToken, offset, limit, listingArchived);
 
     while (pagePromise) {
       const page = await pagePromise;
+      await waitWhilePaused();
+      if (syncStopRequested) {
+        didFullInventory = false;
+        break;
+      }
       limit = page.limit;
       const items = page.items || [];
       if (!items.length) {
-        if (!listedCount) {
-          updateStatus("No conversations returned. Check login and chat history.");
-          didFullInventory = false;
-        }
-        break;
+        pagePromise = startArchivedListing();
+        continue;
       }
 
       listedCount += items.length;
@@ -1026,6 +3826,7 @@ async function runSync(
         remaining: items.length,
         nextOffset,
         limit,
+        archived: listingArchived,
         done: false
       };
       const stopForTime = stopAfterTime && page.pageMinUpdate && page.pageMinUpdate <= stopAfterTime;
@@ -1036,28 +3837,84 @@ async function runSync(
       const shouldContinue =
         !stopForTime && (page.hasMore || items.length >= limit);
       const nextPagePromise = shouldContinue
-        ? fetchConversationPage(accessToken, nextOffset, limit)
+        ? fetchConversationPage(accessToken, nextOffset, limit, listingArchived)
         : null;
 
       for (const item of items) {
         const id = item.id;
         const updateTime = toEpochSeconds(item.update_time) || toEpochSeconds(item.create_time);
         const knownTime = Number.isFinite(knownConversations[id]) ? knownConversations[id] : 0;
+        const archived = item.is_archived === true;
 
         currentIds.add(id);
+        const exclusion = getExclusionReason(syncFilter, id, {
+          ...item,
+          title: item.title || "",
+          create_time: toEpochSeconds(item.create_time),
+          update_time: updateTime
+        });
+        if (exclusion) {
+          // Excluded chats stay known, so they are never treated as removed;
+          // files synced before the rule existed are left as they are.
+          processed += 1;
+          excludedCount += 1;
+          const target = getProgressTarget(processed, progressTotal(), listComplete);
+          updateProgress(processed, target, listComplete);
+          maybeSendProgress(port, processed, target);
+          safePost(port, {
+            type: "conversation-excluded",
+            id,
+            title: (await redactText(redactor, item.title || "")).text,
+            create_time: toEpochSeconds(item.create_time),
+            update_time: updateTime,
+            is_archived: archived,
+            reason: exclusion
+          });
+          markPageItemDone(pageIndex);
+          continue;
+        }
         const createTimeSeconds =
           toEpochSeconds(item.create_time) ||
           (metaMap[id] ? toEpochSeconds(metaMap[id].create_time) : 0);
         const existingMetaUpdate = metaMap[id] ? toEpochSeconds(metaMap[id].update_time) : 0;
-        const mergedUpdateTime = Math.max(updateTime, knownTime, existingMetaUpdate);
+        const syncedUpdateTime = Math.max(knownTime, existingMetaUpdate);
+        const mergedUpdateTime = Math.max(updateTime, syncedUpdateTime);
+        const title =
+          (await redactText(redactor, item.title || "")).text || (metaMap[id] && metaMap[id].title) || "";
+        const knownVersions = metaMap[id] ? metaMap[id].versions : null;
+        const groups = await resolveConversationGroups(item, accessToken, metaMap[id]);
+        // The files keep the old archive state, groups, and redaction until
+        // they are rewritten.
+        const knownArchived = metaMap[id] ? metaMap[id].is_archived === true : false;
+        const knownGroups = getGroupMeta(metaMap[id]);
+        const knownRedaction = getRedactionMeta(metaMap[id]);
+        // Until the conversation is written it keeps the update_time that is
+        // on disk, so a run that stops or fails before then fetches it again.
         metaMap[id] = {
           id,
-          title: item.title || (metaMap[id] && metaMap[id].title) || "",
+          title,
           create_time: createTimeSeconds,
-          update_time: mergedUpdateTime
+          update_time: syncedUpdateTime,
+          is_archived: knownArchived,
+          ...knownGroups,
+          ...knownRedaction,
+          path: paths.previous(id),
+          ...(Array.isArray(knownVersions) ? { versions: knownVersions } : {})
         };
-
-        if (updateTime <= knownTime) {
+        const pathInfo = { title, create_time: createTimeSeconds, ...groups };
+        const pathCurrent =
+          knownArchived === archived &&
+          isSameGroup(knownGroups, groups) &&
+          (knownRedaction.redaction_rules || "") === redactor.fingerprint &&
+          paths.matches(id, pathInfo) &&
+          extraTargets.every((target) =>
+            isDestinationCurrent(target, id, updateTime, {
+              ...pathInfo,
+              is_archived: archived,
+              redaction_rules: redactor.fingerprint
+            })
+          );
+        if (updateTime <= knownTime && pathCurrent) {
           processed += 1;
           skippedCount += 1;
           const target = getProgressTarget(processed, progressTotal(), listComplete);
@@ -1066,9 +3923,14 @@ async function runSync(
           safePost(port, {
             type: "conversation-skip",
             id,
-            title: item.title || "",
+            title,
             create_time: createTimeSeconds,
-            update_time: mergedUpdateTime
+            update_time: mergedUpdateTime,
+            is_archived: archived,
+            ...groups,
+            ...knownRedaction,
+            path: paths.previous(id),
+            ...(Array.isArray(knownVersions) ? { versions: knownVersions } : {})
           });
           markPageItemDone(pageIndex);
           continue;
@@ -1078,10 +3940,11 @@ async function runSync(
       }
 
       offset = nextOffset;
-      pagePromise = nextPagePromise;
-      if (!pagePromise) {
-        break;
-      }
+      pagePromise = nextPagePromise || startArchivedListing();
+    }
+    if (!targeted && !listedCount && !syncStopRequested) {
+      updateStatus("No conversations returned. Check login and chat history.");
+      didFullInventory = false;
     }
     listComplete = true;
     listingDone = true;
@@ -1093,44 +3956,252 @@ async function runSync(
       resolve(null);
     }
 
-    await Promise.all(workers);
+    await Promise.all(workers);
+
+    if (syncStopRequested) {
+      // Cancelled, or stopped by the background (run limit or watchdog): keep
+      // what was written and let the next run resume from its checkpoint.
+      await writeDestinationIndexes(targets, false);
+      await recordDestinationHealth(targets, unavailable);
+      const verb = syncCancelRequested ? "cancelled" : "stopped";
+      updateProgress(0, 0, false);
+      updateStatus(`Sync ${verb}: ${updatedCount} updated, ${skippedCount} unchanged so far.`);
+      safePost(port, {
+        type: "sync-cancelled",
+        total: processed,
+        updated: updatedCount,
+        skipped: skippedCount,
+        excluded: excludedCount,
+        errors: errorCount
+      });
+      return;
+    }
+
+    let pendingDeletion = null;
+    const deletesFiles = targets.some((target) => target.options.deleteRemoved);
+    if (didFullInventory && listedFromStart) {
+      const knownCount = Object.keys(metaMap).length;
+      const removed = Object.keys(metaMap).filter((id) => !currentIds.has(id));
+      if (deletesFiles && exceedsDeletionGuard(options, removed.length, knownCount)) {
+        // A truncated listing looks exactly like a mass deletion, so nothing is
+        // touched until the user confirms in the options page.
+        pendingDeletion = {
+          known: knownCount,
+          entries: removed.map((id) => ({
+            id,
+            title: metaMap[id].title || "",
+            path: paths.previous(id)
+          }))
+        };
+      } else {
+        const trashFolder = getTrashFolder(new Date());
+        for (const target of targets) {
+          const missing = Object.keys(target.metaMap).filter((id) => !currentIds.has(id));
+          for (const id of missing) {
+            const removedPath = target.paths.previous(id);
+            delete target.metaMap[id];
+            target.paths.release(id);
+            if (target.options.deleteRemoved) {
+              try {
+                await trashConversation(target.handle, removedPath, trashFolder, id);
+              } catch (err) {
+                errorCount += 1;
+                target.errors += 1;
+                target.lastError = err.message;
+              }
+            }
+          }
+        }
+      }
+    } else if (deletesFiles) {
+      updateStatus("Skipping deletions until full inventory.");
+    }
+
+    for (const target of targets) {
+      try {
+        await backfillHtmlPages(target);
+      } catch (err) {
+        if (target.primary) {
+          throw err;
+        }
+        target.errors += 1;
+        target.lastError = err.message;
+      }
+    }
+    await writeDestinationIndexes(targets, true);
+    for (const target of targets) {
+      try {
+        await purgeTrash(target.handle, options.trashRetentionDays);
+      } catch (err) {
+        // Purging is retried on the next run.
+      }
+    }
+    await recordDestinationHealth(targets, unavailable);
+
+    const finalTotal = didFullInventory ? progressTotal() || processed : processed;
+    updateProgress(finalTotal, finalTotal, true);
+    updateStatus(
+      pendingDeletion
+        ? `Sync complete. Deletion of ${pendingDeletion.entries.length} missing chats is waiting for confirmation in Options.`
+        : `Sync complete: ${updatedCount} updated, ${skippedCount} unchanged${excludedCount ? `, ${excludedCount} excluded` : ""}.`
+    );
+
+    safePost(port, {
+      type: "sync-complete",
+      total: finalTotal,
+      updated: updatedCount,
+      skipped: skippedCount,
+      excluded: excludedCount,
+      errors: errorCount,
+      fullInventory: didFullInventory,
+      completeListing: didFullInventory && listedFromStart,
+      inventoryCount: Object.keys(metaMap).length,
+      pendingDeletion
+    });
+  } catch (err) {
+    updateStatus(`Sync failed: ${err.message}`);
+    safePost(port, { type: "sync-error", error: err.message });
+  } finally {
+    activeSyncPort = null;
+    syncPaused = false;
+    releasePauseWaiters();
+    setSyncing(false);
+  }
+}
+
+function releasePauseWaiters() {
+  const waiters = pauseWaiters;
+  pauseWaiters = [];
+  for (const resolve of waiters) {
+    resolve();
+  }
+}
+
+function waitWhilePaused() {
+  if (!syncPaused || syncStopRequested) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => pauseWaiters.push(resolve));
+}
+
+// Pause only gates new dequeues and page listing; conversations already being
+// fetched or written finish normally.
+function applySyncControl(action) {
+  if (!syncInProgress) {
+    return;
+  }
+  if (action === "pause") {
+    syncPaused = true;
+    updateStatus("Paused.");
+  } else if (action === "resume") {
+    syncPaused = false;
+    updateStatus("Resuming...");
+    releasePauseWaiters();
+  } else if (action === "cancel") {
+    syncCancelRequested = true;
+    syncStopRequested = true;
+    syncPaused = false;
+    updateStatus("Cancelling after in-flight conversations...");
+    releasePauseWaiters();
+  }
+}
+
+function toSearchMessages(messages) {
+  return messages.map((message) => ({
+    id: message.id,
+    role: message.role,
+    text: message.content,
+    create_time: message.create_time,
+    active: message.active !== false
+  }));
+}
+
+async function decodeFileBytes(bytes) {
+  if (!isEncryptedEnvelope(bytes)) {
+    return new TextDecoder().decode(bytes);
+  }
+  const record = await loadStoredEncryption();
+  const plain = await decryptEnvelope(bytes, async (keyId) => getEncryptionKey(record, keyId));
+  return new TextDecoder().decode(plain);
+}
+
+async function readTextFile(rootHandle, relativePath) {
+  const parts = relativePath.split("/").filter(Boolean);
+  const name = parts.pop();
+  const dir = await getDirectoryIfExists(rootHandle, parts.join("/"));
+  if (!dir || !name) {
+    return null;
+  }
+  try {
+    const fileHandle = await dir.getFileHandle(name, { create: false });
+    return await decodeFileBytes(new Uint8Array(await (await fileHandle.getFile()).arrayBuffer()));
+  } catch (err) {
+    if (err && err.name === "NotFoundError") {
+      return null;
+    }
+    throw err;
+  }
+}
+
+async function readJsonFile(rootHandle, relativePath) {
+  try {
+    const text = await readTextFile(rootHandle, relativePath);
+    return text === null ? null : JSON.parse(text);
+  } catch (err) {
+    return null;
+  }
+}
+
+async function readLocalFile(relativePath) {
+  const parts = String(relativePath || "").split("/").filter(Boolean);
+  if (!parts.length || parts.some((part) => part === "..")) {
+    throw new Error("Invalid path");
+  }
+  await ensureAccount();
+  const rootHandle = await ensureHandle();
+  const text = await readTextFile(rootHandle, parts.join("/"));
+  if (text === null) {
+    const error = new Error("File not found");
+    error.code = "not-found";
+    throw error;
+  }
+  return text;
+}
 
-    if (didFullInventory) {
-      const removed = Object.keys(metaMap).filter((id) => !currentIds.has(id));
-      for (const id of removed) {
-        delete metaMap[id];
-        if (options.deleteRemoved) {
-          try {
-            await deleteConversation(rootHandle, options, id);
-          } catch (err) {
-            errorCount += 1;
-          }
-        }
+async function runSearchRebuild(port) {
+  let rootHandle;
+  try {
+    rootHandle = await ensureHandle();
+  } catch (err) {
+    safePost(port, { type: "search-rebuild-error", error: err.message });
+    return;
+  }
+
+  try {
+    const indexState = await readIndex(rootHandle);
+    const entries = Object.values((indexState && indexState.meta) || {});
+    let skipped = 0;
+    for (const entry of entries) {
+      const payload = await readJsonFile(rootHandle, `conversations/${entry.path || entry.id}.json`);
+      if (!payload || !Array.isArray(payload.messages)) {
+        skipped += 1;
+        continue;
       }
-    } else if (options.deleteRemoved) {
-      updateStatus("Skipping deletions until full inventory.");
+      safePost(port, {
+        type: "search-document",
+        total: entries.length,
+        document: {
+          id: entry.id,
+          title: entry.title || "",
+          create_time: entry.create_time || 0,
+          update_time: entry.update_time || 0,
+          messages: toSearchMessages(payload.messages)
+        }
+      });
     }
-
-    await writeIndex(rootHandle, metaMap);
-
-    const finalTotal = didFullInventory ? progressTotal() || processed : processed;
-    updateProgress(finalTotal, finalTotal, true);
-    updateStatus(`Sync complete: ${updatedCount} updated, ${skippedCount} unchanged.`);
-
-    safePost(port, {
-      type: "sync-complete",
-      total: finalTotal,
-      updated: updatedCount,
-      skipped: skippedCount,
-      errors: errorCount,
-      fullInventory: didFullInventory,
-      inventoryCount: Object.keys(metaMap).length
-    });
+    safePost(port, { type: "search-rebuild-complete", total: entries.length, skipped });
   } catch (err) {
-    updateStatus(`Sync failed: ${err.message}`);
-    safePost(port, { type: "sync-error", error: err.message });
-  } finally {
-    setSyncing(false);
+    safePost(port, { type: "search-rebuild-error", error: err.message });
   }
 }
 
@@ -1448,6 +4519,41 @@ function createUi() {
         opacity: 0.6;
         cursor: not-allowed;
       }
+      .controls {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 6px;
+      }
+      .controls[hidden] {
+        display: none;
+      }
+      .destinations {
+        display: grid;
+        gap: 4px;
+      }
+      .destinations[hidden] {
+        display: none;
+      }
+      .destination {
+        display: grid;
+        grid-template-columns: minmax(0, 1fr) auto auto;
+        align-items: center;
+        gap: 6px;
+        font-size: 11px;
+        color: #bdbdbd;
+      }
+      .destination-name {
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+      .destination-state.error {
+        color: #ff7a7c;
+      }
+      .destination button {
+        padding: 2px 6px;
+        font-size: 10px;
+      }
     </style>
     <div class="panel">
       <div class="header" id="toggle" role="button" tabindex="0" aria-expanded="false">
@@ -1462,12 +4568,18 @@ function createUi() {
         </div>
       </div>
       <div class="details">
+        <div class="folder"><span class="folder-prefix">Account</span><span id="account">Detecting...</span></div>
         <div class="folder"><span class="folder-prefix">Folder</span><span id="folder">No folder selected</span></div>
+        <div class="destinations" id="destinations" hidden></div>
         <div class="status" id="status">Idle</div>
         <div class="bar"><div class="bar-fill" id="bar"></div></div>
         <div class="progress-text" id="progress"></div>
         <div class="actions">
           <button id="sync">Sync now</button>
+          <div class="controls" id="controls" hidden>
+            <button class="secondary" id="pause">Pause</button>
+            <button class="secondary" id="cancel">Cancel</button>
+          </div>
         </div>
       </div>
     </div>
@@ -1479,9 +4591,14 @@ function createUi() {
     container,
     status: shadow.getElementById("status"),
     folder: shadow.getElementById("folder"),
+    account: shadow.getElementById("account"),
+    destinations: shadow.getElementById("destinations"),
     progressFill: shadow.getElementById("bar"),
     progressText: shadow.getElementById("progress"),
     syncButton: shadow.getElementById("sync"),
+    controls: shadow.getElementById("controls"),
+    pauseButton: shadow.getElementById("pause"),
+    cancelButton: shadow.getElementById("cancel"),
     optionsButton: shadow.getElementById("options"),
     toggle: shadow.getElementById("toggle"),
     indicator: shadow.getElementById("indicator")
@@ -1501,6 +4618,13 @@ function createUi() {
   }
 
   uiState.syncButton.addEventListener("click", () => {
+    // Picking a folder needs the click's user activation, so the account has
+    // to be known before the click rather than looked up on it.
+    if (!activeAccount) {
+      updateStatus("Detecting the ChatGPT account...");
+      ensureAccount().catch((err) => updateStatus(err.message));
+      return;
+    }
     updateStatus("Sync requested...");
     updateProgress(0, 0);
     ensureHandleWithPrompt()
@@ -1525,16 +4649,34 @@ function createUi() {
       });
   });
 
+  const sendSyncControl = (action) => {
+    chrome.runtime.sendMessage({ type: "sync-control", action }, (response) => {
+      if (chrome.runtime.lastError) {
+        updateStatus("Unable to reach the extension background.");
+      } else if (response && response.ok === false && response.error) {
+        updateStatus(response.error);
+      }
+    });
+  };
+
+  uiState.pauseButton.addEventListener("click", () => {
+    const paused = !!(cachedGlobalStatus && cachedGlobalStatus.paused);
+    sendSyncControl(paused ? "resume" : "pause");
+  });
+
+  uiState.cancelButton.addEventListener("click", () => {
+    sendSyncControl("cancel");
+  });
+
   uiState.optionsButton.addEventListener("click", (event) => {
     event.stopPropagation();
     chrome.runtime.sendMessage({ type: "open-options" });
   });
 
-  chrome.storage.local.get(["folderLabel", "widgetExpanded", "status"], (result) => {
+  const storedKeys = ["widgetExpanded", "status", "options"];
+  chrome.storage.local.get(storedKeys, (result) => {
     setExpanded(result && result.widgetExpanded === true, false);
-    if (result && result.folderLabel) {
-      updateFolderLabel(result.folderLabel);
-    }
+    cachedStoredOptions = result && result.options ? result.options : {};
     if (result && result.status) {
       applyGlobalStatus(result.status);
     } else {
@@ -1552,30 +4694,583 @@ function createUi() {
   observer.observe(document.body, { childList: true, subtree: true });
 }
 
+// Reloads everything scoped to the account: folder handles, the folder label,
+// and destination health.
+function applyAccountChange() {
+  cachedHandles.clear();
+  requestAccountId = "";
+  if (uiState) {
+    uiState.account.textContent = activeAccount ? activeAccount.label : "Unknown";
+  }
+  const statusKey = getScopedKey("destinationStatus");
+  chrome.storage.local.get(["options", statusKey], (result) => {
+    cachedStoredOptions = result && result.options ? result.options : {};
+    cachedDestinationStatus = (result && result[statusKey]) || {};
+    renderDestinationRows();
+    refreshDestinationStatus(cachedStoredOptions);
+  });
+  refreshFolderStatus();
+}
+
 createUi();
-refreshFolderStatus();
+ensureAccount().catch((err) => {
+  if (uiState) {
+    uiState.account.textContent = "Unknown";
+  }
+  updateStatus(err.message);
+});
 
 chrome.storage.onChanged.addListener((changes, areaName) => {
   if (areaName !== "local") {
     return;
   }
-  if (changes.folderLabel) {
-    updateFolderLabel(changes.folderLabel.newValue || "No folder selected");
+  const folderLabelChange = changes[getScopedKey("folderLabel")];
+  if (folderLabelChange) {
+    updateFolderLabel(folderLabelChange.newValue || "No folder selected");
   }
   if (changes.widgetExpanded) {
     setExpanded(changes.widgetExpanded.newValue === true, false);
   }
+  if (changes.options) {
+    cachedStoredOptions = changes.options.newValue || {};
+    refreshDestinationStatus(cachedStoredOptions);
+  }
+  const destinationStatusChange = changes[getScopedKey("destinationStatus")];
+  if (destinationStatusChange) {
+    cachedDestinationStatus = destinationStatusChange.newValue || {};
+    renderDestinationRows();
+  }
   if (changes.status) {
     applyGlobalStatus(changes.status.newValue || null);
   }
 });
 
+async function applyRemovals(entries, trash, options) {
+  if (syncInProgress) {
+    throw new Error("Wait for the running sync to finish.");
+  }
+  const rootHandle = await ensureHandle();
+  await prepareEncryption(options);
+  const { targets } = await openDestinationTargets(options, rootHandle, {});
+  const ids = new Set(entries.map((entry) => entry.id));
+  const trashFolder = getTrashFolder(new Date());
+  let failed = 0;
+  for (const target of targets) {
+    const existing = (await readIndexEntries(target.handle).catch(() => null)) || [];
+    if (trash && target.options.deleteRemoved) {
+      const removed = target.primary
+        ? entries
+        : existing.filter((entry) => entry && ids.has(entry.id));
+      for (const entry of removed) {
+        try {
+          await trashConversation(target.handle, entry.path || entry.id, trashFolder, entry.id);
+        } catch (err) {
+          failed += 1;
+        }
+      }
+    }
+    const remaining = existing.filter((entry) => entry && !ids.has(entry.id));
+    await writeIndex(target.handle, remaining, target.options.includeHtml && target.htmlArchive);
+    await writeIntegrityManifest(target.handle);
+    if (target.options.includeHtml) {
+      await writeFile(target.handle, "index.html", toArchiveIndexHtml(remaining));
+    }
+  }
+  return { removed: ids.size, failed };
+}
+
+// Maps a file under conversations/ to the id of the conversation that wrote
+// it: its own .json/.md/.html, or a file in its attachments/ or history/.
+function getConversationFileOwner(relativePath, ownersByPath) {
+  const own = relativePath.match(/^conversations\/(.+)\.(?:json|md|html)$/);
+  if (own && ownersByPath.has(own[1])) {
+    return ownersByPath.get(own[1]);
+  }
+  const nested = relativePath.match(/^conversations\/(.+)\/(?:attachments|history)\/[^/]+$/);
+  return nested && ownersByPath.has(nested[1]) ? ownersByPath.get(nested[1]) : null;
+}
+
+// Update time recorded inside a conversation's .json or .md, or null for
+// other files.
+function getWrittenUpdateTime(relativePath, text) {
+  if (relativePath.endsWith(".json")) {
+    const payload = JSON.parse(text);
+    return payload && payload.meta ? toEpochSeconds(payload.meta.update_time) : 0;
+  }
+  if (relativePath.endsWith(".md")) {
+    const match = text.match(/^update_time: "([^"]*)"$/m);
+    const parsed = match ? Date.parse(match[1]) : NaN;
+    return Number.isNaN(parsed) ? 0 : parsed / 1000;
+  }
+  return null;
+}
+
+function listExpectedFiles(target) {
+  const extensions = [
+    target.options.includeJson && "json",
+    target.options.includeMarkdown && "md",
+    target.options.includeHtml && "html"
+  ].filter(Boolean);
+  const expected = new Map();
+  for (const meta of Object.values(target.metaMap)) {
+    for (const ext of extensions) {
+      expected.set(`conversations/${meta.path || meta.id}.${ext}`, meta.id);
+    }
+  }
+  return expected;
+}
+
+// Checks one folder against its index.json and manifest.json. Files present
+// but not yet in the manifest (older archives, files added by hand) are
+// checked for readability and then adopted into it.
+async function verifyTarget(target) {
+  const { handle, metaMap } = target;
+  const manifest = integrityManifests.get(handle) || (await loadIntegrityManifest(handle));
+  const ownersByPath = new Map(Object.values(metaMap).map((meta) => [meta.path || meta.id, meta.id]));
+  const expected = listExpectedFiles(target);
+  const report = { name: target.name, checked: 0, adopted: 0, missing: [], corrupted: [], orphaned: [], stale: [] };
+  const conversations = await getDirectoryIfExists(handle, "conversations");
+  const files = conversations ? await listFolderFiles(conversations, "conversations", []) : [];
+  const present = new Set();
+  for (const file of files) {
+    present.add(file.path);
+    const id = getConversationFileOwner(file.path, ownersByPath);
+    if (!id) {
+      report.orphaned.push({ path: file.path });
+      continue;
+    }
+    report.checked += 1;
+    try {
+      const bytes = new Uint8Array(await (await file.handle.getFile()).arrayBuffer());
+      const entry = manifest.files[file.path];
+      if (entry && (entry.size !== bytes.byteLength || entry.sha256 !== (await hashBytes(bytes)))) {
+        const reason = entry.size !== bytes.byteLength ? "Size differs from manifest.json" : "Checksum differs from manifest.json";
+        report.corrupted.push({ path: file.path, id, reason });
+        continue;
+      }
+      if (expected.has(file.path) && !file.path.endsWith(".html")) {
+        let writtenTime;
+        try {
+          writtenTime = getWrittenUpdateTime(file.path, await decodeFileBytes(bytes));
+        } catch (err) {
+          if (err.code === "encrypted") {
+            throw err;
+          }
+          report.corrupted.push({ path: file.path, id, reason: err.code === "corrupt" ? err.message : "Not readable" });
+          continue;
+        }
+        // Markdown keeps millisecond precision, so allow a second of slack.
+        if (writtenTime + 1 < (metaMap[id].update_time || 0)) {
+          report.stale.push({ path: file.path, id, reason: "Older than index.json" });
+        }
+      }
+      if (!entry) {
+        await recordFileIntegrity(handle, file.path, bytes);
+        report.adopted += 1;
+      }
+    } catch (err) {
+      report.corrupted.push({ path: file.path, id, reason: err.message });
+    }
+  }
+  const missing = new Map();
+  for (const [path, id] of expected) {
+    if (!present.has(path)) {
+      missing.set(path, id);
+    }
+  }
+  for (const path of Object.keys(manifest.files)) {
+    if (present.has(path)) {
+      continue;
+    }
+    const id = getConversationFileOwner(path, ownersByPath);
+    if (id && !missing.has(path)) {
+      missing.set(path, id);
+    }
+    // Reported once; a refetch writes the file and its entry again.
+    delete manifest.files[path];
+    manifest.dirty = true;
+  }
+  report.missing = Array.from(missing, ([path, id]) => ({ path, id }));
+  await writeIntegrityManifest(handle);
+  return report;
+}
+
+async function verifyArchive(options) {
+  if (syncInProgress) {
+    throw new Error("Wait for the running sync to finish.");
+  }
+  const rootHandle = await ensureHandle();
+  setSyncing(true);
+  updateStatus("Verifying archive...");
+  try {
+    await prepareEncryption(options);
+    const indexState = await readIndex(rootHandle);
+    const { targets, unavailable } = await openDestinationTargets(
+      options,
+      rootHandle,
+      indexState ? indexState.meta : {}
+    );
+    const ids = new Set();
+    const folders = [];
+    let problems = 0;
+    for (const target of targets) {
+      updateStatus(`Verifying ${target.name}...`);
+      const report = await verifyTarget(target);
+      const counts = {};
+      const items = {};
+      for (const category of ["missing", "corrupted", "orphaned", "stale"]) {
+        counts[category] = report[category].length;
+        items[category] = report[category].slice(0, VERIFY_PREVIEW_LIMIT);
+        problems += report[category].length;
+        if (category !== "orphaned") {
+          report[category].forEach((item) => ids.add(item.id));
+        }
+      }
+      folders.push({ name: report.name, checked: report.checked, adopted: report.adopted, counts, items });
+    }
+    updateStatus(problems ? `Archive check found ${problems} problem(s).` : "Archive verified.");
+    return {
+      folders,
+      ids: Array.from(ids),
+      unavailable: Object.values(unavailable).map((entry) => entry.name)
+    };
+  } finally {
+    setSyncing(false);
+  }
+}
+
+// Reads the front matter written by toMarkdown into a map of field to value.
+// Quoted values are unescaped; true and false become booleans.
+function parseFrontMatter(text) {
+  const block = String(text || "").match(/^---\n([\s\S]*?)\n---/);
+  const fields = {};
+  for (const line of block ? block[1].split("\n") : []) {
+    const match = line.match(/^([a-z_]+): (.*)$/);
+    if (!match) {
+      continue;
+    }
+    const value = match[2];
+    if (/^".*"$/.test(value)) {
+      fields[match[1]] = value.slice(1, -1).replace(/\\"/g, "\"");
+    } else {
+      fields[match[1]] = value === "true" ? true : value === "false" ? false : value;
+    }
+  }
+  return fields;
+}
+
+// Recovers the index of a folder from the meta block of every
+// conversations/<path>.json, or the Markdown front matter where a chat has no
+// JSON, and merges it into whatever index.json and its journal still hold.
+// History snapshots and attachments are told apart from conversation files by
+// checking that meta.path points back at the file.
+async function rebuildIndexFromFolder(rootHandle, options) {
+  const conversations = await getDirectoryIfExists(rootHandle, "conversations");
+  const files = conversations ? await listFolderFiles(conversations, "conversations", []) : [];
+  const paths = new Set(files.map((file) => file.path));
+  const meta = {};
+  let existing = null;
+  try {
+    existing = await readIndexEntries(rootHandle);
+  } catch (err) {
+    if (err.code === "encrypted") {
+      throw err;
+    }
+  }
+  for (const entry of existing || []) {
+    meta[entry.id] = entry;
+  }
+  const markdown = [];
+  let found = 0;
+  let failed = 0;
+  for (const file of files) {
+    sendSyncHeartbeat();
+    if (file.path.endsWith(".md") && !paths.has(file.path.replace(/\.md$/, ".json"))) {
+      markdown.push(file);
+      continue;
+    }
+    if (!file.path.endsWith(".json")) {
+      continue;
+    }
+    let payload;
+    try {
+      payload = JSON.parse(await decodeFileBytes(new Uint8Array(await (await file.handle.getFile()).arrayBuffer())));
+    } catch (err) {
+      if (err.code === "encrypted") {
+        throw err;
+      }
+      failed += 1;
+      continue;
+    }
+    const source = payload && payload.meta;
+    const basePath = source && source.id ? source.path || source.id : "";
+    if (!basePath || file.path !== `conversations/${basePath}.json`) {
+      continue;
+    }
+    const versions = options.keepHistory ? await listHistoryVersions(rootHandle, basePath) : [];
+    meta[source.id] = {
+      id: source.id,
+      title: source.title || "",
+      create_time: toEpochSeconds(source.create_time),
+      update_time: toEpochSeconds(source.update_time),
+      is_archived: source.is_archived === true,
+      ...getGroupMeta(source),
+      ...getRedactionMeta(source),
+      path: basePath,
+      ...(versions.length ? { versions } : {})
+    };
+    found += 1;
+    if (found % 100 === 0) {
+      updateStatus(`Rebuilding from folder: ${found} chats found...`);
+    }
+  }
+  for (const file of markdown) {
+    sendSyncHeartbeat();
+    const basePath = file.path.slice("conversations/".length, -".md".length);
+    if (/\/(?:attachments|history)\//.test(`/${basePath}`)) {
+      continue;
+    }
+    let fields;
+    try {
+      fields = parseFrontMatter(await decodeFileBytes(new Uint8Array(await (await file.handle.getFile()).arrayBuffer())));
+    } catch (err) {
+      if (err.code === "encrypted") {
+        throw err;
+      }
+      failed += 1;
+      continue;
+    }
+    if (!fields.id || typeof fields.id !== "string") {
+      continue;
+    }
+    // Front matter holds ISO dates and no redaction counts; the counts already
+    // known for the chat are kept.
+    const toSeconds = (value) => {
+      const parsed = Date.parse(value);
+      return Number.isNaN(parsed) ? 0 : parsed / 1000;
+    };
+    const versions = options.keepHistory ? await listHistoryVersions(rootHandle, basePath) : [];
+    meta[fields.id] = {
+      id: fields.id,
+      title: fields.title || "",
+      create_time: toSeconds(fields.create_time),
+      update_time: toSeconds(fields.update_time),
+      is_archived: fields.is_archived === true,
+      ...getGroupMeta(fields),
+      ...getRedactionMeta(meta[fields.id]),
+      path: basePath,
+      ...(versions.length ? { versions } : {})
+    };
+    found += 1;
+  }
+  await writeIndex(rootHandle, meta);
+  if (options.includeHtml) {
+    await writeFile(rootHandle, "index.html", toArchiveIndexHtml(Object.values(meta)));
+  }
+  return { meta, failed };
+}
+
+async function rebuildFromFolder(options) {
+  if (syncInProgress) {
+    throw new Error("Wait for the running sync to finish.");
+  }
+  const rootHandle = await ensureHandle();
+  setSyncing(true);
+  updateStatus("Rebuilding from folder...");
+  try {
+    await prepareEncryption(options);
+    const result = await rebuildIndexFromFolder(rootHandle, options);
+    updateStatus(`Rebuilt the index from ${Object.keys(result.meta).length} chats in the folder.`);
+    return result;
+  } finally {
+    setSyncing(false);
+  }
+}
+
+// Writes conversations from an official data export through the same pipeline
+// as a sync. A local copy at least as new as the export is never overwritten.
+async function importConversations(conversations, media, options, knownConversations, knownMeta) {
+  if (syncInProgress) {
+    throw new Error("Wait for the running sync to finish.");
+  }
+  const rootHandle = await ensureHandle();
+  setSyncing(true);
+  updateStatus("Importing data export...");
+  try {
+    await prepareEncryption(options);
+    const merged = mergeKnownState(knownConversations, knownMeta, await readIndex(rootHandle));
+    const { targets, unavailable } = await openDestinationTargets(options, rootHandle, merged.meta);
+    const metaMap = targets[0].metaMap;
+    const localFiles = new Map(Object.entries(media || {}));
+    const syncFilter = createSyncFilter(options);
+    if (syncFilter.errors.length) {
+      throw new Error("Fix the sync rules in Options before importing.");
+    }
+    const redactor = createRedactor(options, options.redactMode === "hash" ? await loadRedactionKey() : null);
+    if (redactor.errors.length) {
+      throw new Error("Fix the redaction patterns in Options before importing.");
+    }
+    const results = [];
+
+    for (const conversation of conversations) {
+      const id = conversation && (conversation.id || conversation.conversation_id);
+      if (!id) {
+        results.push({ id: "", status: "error", error: "Missing conversation id" });
+        continue;
+      }
+      const createTimeSeconds = toEpochSeconds(conversation.create_time);
+      const updateTime = toEpochSeconds(conversation.update_time) || createTimeSeconds;
+      const knownTime = Number.isFinite(merged.conversations[id]) ? merged.conversations[id] : 0;
+      const redactedTitle = await redactText(redactor, conversation.title || "");
+      const title = redactedTitle.text;
+      const archived = conversation.is_archived === true;
+      const exclusion = getExclusionReason(syncFilter, id, {
+        ...conversation,
+        title: conversation.title || "",
+        create_time: createTimeSeconds,
+        update_time: updateTime,
+        is_archived: archived
+      });
+      if (exclusion) {
+        results.push({ id, title, status: "excluded", reason: exclusion });
+        continue;
+      }
+      const groups = await resolveConversationGroups(conversation, null, metaMap[id]);
+      if (metaMap[id] && knownTime > updateTime) {
+        results.push({ id, title, status: "newer" });
+        continue;
+      }
+      if (metaMap[id] && knownTime === updateTime) {
+        results.push({ id, title, status: "skipped" });
+        continue;
+      }
+
+      const existed = Boolean(metaMap[id]);
+      try {
+        const { path, messages, versions, redaction, update_time } = await writeToDestinations(
+          targets,
+          conversation,
+          {
+            title,
+            title_redactions: redactedTitle.count,
+            create_time: createTimeSeconds,
+            update_time: updateTime,
+            is_archived: archived,
+            ...groups
+          },
+          { accessToken: null, localFiles, redactor }
+        );
+        results.push({
+          id,
+          title,
+          status: existed ? "backfilled" : "added",
+          create_time: createTimeSeconds,
+          update_time,
+          is_archived: archived,
+          ...groups,
+          ...redaction,
+          path,
+          ...(Array.isArray(versions) ? { versions } : {}),
+          search: toSearchMessages(messages)
+        });
+      } catch (err) {
+        if (!existed) {
+          targets[0].paths.release(id);
+        }
+        results.push({ id, title, status: "error", error: err.message });
+      }
+    }
+
+    await writeDestinationIndexes(targets, true);
+    await recordDestinationHealth(targets, unavailable);
+    const written = results.filter((result) => result.search).length;
+    updateStatus(`Imported ${written} of ${results.length} conversations from the data export.`);
+    return results;
+  } finally {
+    setSyncing(false);
+  }
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message && message.type === "apply-removals") {
+    const entries = Array.isArray(message.entries) ? message.entries : [];
+    applyRemovals(entries, message.trash === true, message.options || {})
+      .then((result) => sendResponse({ ok: true, ...result }))
+      .catch((err) => sendResponse({ ok: false, error: err.message }));
+    return true;
+  }
+  if (message && message.type === "import-conversations") {
+    importConversations(
+      Array.isArray(message.conversations) ? message.conversations : [],
+      message.media || {},
+      message.options || {},
+      message.knownConversations || {},
+      message.knownMeta || {}
+    )
+      .then((results) => sendResponse({ ok: true, results }))
+      .catch((err) => sendResponse({ ok: false, error: err.message }));
+    return true;
+  }
+  if (message && message.type === "rebuild-from-folder") {
+    rebuildFromFolder(message.options || {})
+      .then((result) => sendResponse({ ok: true, ...result }))
+      .catch((err) => sendResponse({ ok: false, error: err.message }));
+    return true;
+  }
+  if (message && message.type === "verify-archive") {
+    verifyArchive(message.options || {})
+      .then((report) => sendResponse({ ok: true, report }))
+      .catch((err) => sendResponse({ ok: false, error: err.message }));
+    return true;
+  }
+  if (message && message.type === "get-account") {
+    ensureAccount(message.refresh === true)
+      .catch((err) => adoptStoredAccount(message.fallback, err))
+      .then((account) => sendResponse({ ok: true, account }))
+      .catch((err) => sendResponse({ ok: false, error: err.message }));
+    return true;
+  }
+  if (message && message.type === "set-encryption-passphrase") {
+    setEncryptionPassphrase(String(message.passphrase || ""), message.replace === true)
+      .then((result) => sendResponse({ ok: true, ...result }))
+      .catch((err) => sendResponse({ ok: false, error: err.message }));
+    return true;
+  }
+  if (message && message.type === "read-local-file") {
+    readLocalFile(message.path)
+      .then((text) => sendResponse({ ok: true, text }))
+      .catch((err) => sendResponse({ ok: false, error: err.message, code: err.code || null }));
+    return true;
+  }
+  return false;
+});
+
 chrome.runtime.onConnect.addListener((port) => {
+  if (port.name === "search-rebuild") {
+    port.onMessage.addListener((msg) => {
+      if (msg && msg.type === "start-search-rebuild") {
+        runSearchRebuild(port);
+      }
+    });
+    return;
+  }
   if (port.name !== "sync") {
     return;
   }
 
+  port.onDisconnect.addListener(() => {
+    if (activeSyncPort === port) {
+      syncStopRequested = true;
+    }
+  });
+
   port.onMessage.addListener((msg) => {
+    if (msg && msg.type === "sync-control") {
+      if (activeSyncPort === port) {
+        applySyncControl(msg.action);
+      }
+      return;
+    }
     if (!msg || msg.type !== "start-sync") {
       return;
     }
@@ -1585,6 +5280,15 @@ chrome.runtime.onConnect.addListener((port) => {
     const knownMeta = msg.knownMeta || {};
     const lastFullInventoryAt = msg.lastFullInventoryAt || null;
     const inventoryCursor = msg.inventoryCursor || null;
-    runSync(port, options, knownConversations, knownMeta, lastFullInventoryAt, inventoryCursor);
+    const targetIds = Array.isArray(msg.targetIds) ? msg.targetIds : null;
+    runSync(
+      port,
+      options,
+      knownConversations,
+      knownMeta,
+      lastFullInventoryAt,
+      inventoryCursor,
+      targetIds
+    );
   });
 });
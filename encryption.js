@@ -0,0 +1,170 @@
+// Optional at-rest encryption of synced files. Shared by the content script
+// (encrypts on write, decrypts on read) and the options page (decrypt tool).
+//
+// Every encrypted file is one binary envelope:
+//   bytes 0-3    "CLSE"
+//   byte  4      envelope version (1)
+//   bytes 5-12   key id: the first 8 bytes of the PBKDF2 salt
+//   bytes 13-24  random 96-bit AES-GCM IV
+//   bytes 25-    AES-256-GCM ciphertext followed by the 16-byte tag
+// Bytes 0-24 are authenticated as additional data. The salt, iteration count
+// and a passphrase check are kept unencrypted in encryption.json at the folder
+// root; the passphrase and the derived key are never written to the folder.
+const ENCRYPTION_FILE = "encryption.json";
+const ENCRYPTION_FORMAT = "chatgpt-local-sync-encryption";
+const ENCRYPTION_MAGIC = [0x43, 0x4c, 0x53, 0x45];
+const ENCRYPTION_VERSION = 1;
+const ENCRYPTION_KEY_ID_BYTES = 8;
+const ENCRYPTION_IV_BYTES = 12;
+const ENCRYPTION_HEADER_BYTES = 5 + ENCRYPTION_KEY_ID_BYTES + ENCRYPTION_IV_BYTES;
+const ENCRYPTION_SALT_BYTES = 16;
+const ENCRYPTION_ITERATIONS = 600000;
+const ENCRYPTION_CHECK_TEXT = "chatgpt-local-sync";
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(text) {
+  const binary = atob(String(text || ""));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+function bytesToHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+async function toEncryptionBytes(content) {
+  if (typeof content === "string") {
+    return new TextEncoder().encode(content);
+  }
+  if (content instanceof Uint8Array) {
+    return content;
+  }
+  if (content instanceof ArrayBuffer) {
+    return new Uint8Array(content);
+  }
+  return new Uint8Array(await content.arrayBuffer());
+}
+
+function isEncryptedEnvelope(bytes) {
+  return (
+    bytes.length >= ENCRYPTION_HEADER_BYTES &&
+    ENCRYPTION_MAGIC.every((value, index) => bytes[index] === value) &&
+    bytes[4] === ENCRYPTION_VERSION
+  );
+}
+
+function getEnvelopeKeyId(bytes) {
+  return bytesToHex(bytes.subarray(5, 5 + ENCRYPTION_KEY_ID_BYTES));
+}
+
+async function deriveEncryptionKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+async function encryptEnvelope(key, keyId, content) {
+  const plain = await toEncryptionBytes(content);
+  const header = new Uint8Array(ENCRYPTION_HEADER_BYTES);
+  header.set(ENCRYPTION_MAGIC, 0);
+  header[4] = ENCRYPTION_VERSION;
+  for (let i = 0; i < ENCRYPTION_KEY_ID_BYTES; i += 1) {
+    header[5 + i] = Number.parseInt(keyId.slice(i * 2, i * 2 + 2), 16);
+  }
+  const iv = crypto.getRandomValues(new Uint8Array(ENCRYPTION_IV_BYTES));
+  header.set(iv, 5 + ENCRYPTION_KEY_ID_BYTES);
+  const cipher = await crypto.subtle.encrypt({ name: "AES-GCM", iv, additionalData: header }, key, plain);
+  const envelope = new Uint8Array(header.length + cipher.byteLength);
+  envelope.set(header, 0);
+  envelope.set(new Uint8Array(cipher), header.length);
+  return envelope;
+}
+
+// `getKey` maps a key id to a CryptoKey, or null when the key is unknown.
+async function decryptEnvelope(bytes, getKey) {
+  const key = await getKey(getEnvelopeKeyId(bytes));
+  if (!key) {
+    const error = new Error("File is encrypted with a passphrase that is not unlocked");
+    error.code = "encrypted";
+    throw error;
+  }
+  const header = bytes.subarray(0, ENCRYPTION_HEADER_BYTES);
+  const iv = bytes.subarray(5 + ENCRYPTION_KEY_ID_BYTES, ENCRYPTION_HEADER_BYTES);
+  try {
+    const plain = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv, additionalData: header },
+      key,
+      bytes.subarray(ENCRYPTION_HEADER_BYTES)
+    );
+    return new Uint8Array(plain);
+  } catch (err) {
+    const error = new Error("Encrypted file is damaged or was changed");
+    error.code = "corrupt";
+    throw error;
+  }
+}
+
+// Creates fresh settings for a new passphrase. Returns the key and the
+// encryption.json payload.
+async function createEncryptionSettings(passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(ENCRYPTION_SALT_BYTES));
+  const key = await deriveEncryptionKey(passphrase, salt, ENCRYPTION_ITERATIONS);
+  const keyId = bytesToHex(salt.subarray(0, ENCRYPTION_KEY_ID_BYTES));
+  const check = await encryptEnvelope(key, keyId, ENCRYPTION_CHECK_TEXT);
+  return {
+    key,
+    settings: {
+      format: ENCRYPTION_FORMAT,
+      version: ENCRYPTION_VERSION,
+      key_id: keyId,
+      cipher: "AES-256-GCM",
+      kdf: { name: "PBKDF2", hash: "SHA-256", iterations: ENCRYPTION_ITERATIONS, salt: bytesToBase64(salt) },
+      check: bytesToBase64(check),
+      created_at: new Date().toISOString()
+    }
+  };
+}
+
+// Derives the key for existing settings and rejects a wrong passphrase.
+async function unlockEncryptionSettings(passphrase, settings) {
+  if (!settings || settings.format !== ENCRYPTION_FORMAT || !settings.kdf || !settings.check) {
+    throw new Error(`${ENCRYPTION_FILE} is missing or not valid`);
+  }
+  const key = await deriveEncryptionKey(
+    passphrase,
+    base64ToBytes(settings.kdf.salt),
+    Number(settings.kdf.iterations) || ENCRYPTION_ITERATIONS
+  );
+  try {
+    const check = await decryptEnvelope(base64ToBytes(settings.check), async (keyId) =>
+      keyId === settings.key_id ? key : null
+    );
+    if (new TextDecoder().decode(check) !== ENCRYPTION_CHECK_TEXT) {
+      throw new Error("Check mismatch");
+    }
+  } catch (err) {
+    throw new Error("Wrong passphrase");
+  }
+  return key;
+}
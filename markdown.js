@@ -0,0 +1,165 @@
+function escapeHtml(value) {
+  return String(value == null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function safeHref(url) {
+  const value = String(url || "").trim();
+  if (/^(?:javascript|vbscript|data):/i.test(value.replace(/&[a-z#0-9]+;/gi, ""))) {
+    return "#";
+  }
+  return value;
+}
+
+function renderInlineMarkdown(text) {
+  const codeSpans = [];
+  let output = escapeHtml(text).replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => {
+    codeSpans.push(`<code>${code.trim()}</code>`);
+    return `\u0000${codeSpans.length - 1}\u0000`;
+  });
+
+  output = output
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, src) => `<img alt="${alt}" src="${safeHref(src)}" loading="lazy">`)
+    .replace(/\[\^([^\]\s]+)\]/g, (match, label) => `<sup><a href="#fn-${label}">${label}</a></sup>`)
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => `<a href="${safeHref(href)}">${label}</a>`)
+    .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+    .replace(/(^|[^\w*])\*([^*\s][^*]*?)\*(?!\w)/g, "$1<em>$2</em>")
+    .replace(/(^|[^\w])_([^_\s][^_]*?)_(?!\w)/g, "$1<em>$2</em>");
+
+  return output.replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[Number(index)]);
+}
+
+function splitTableRow(line) {
+  return line
+    .trim()
+    .replace(/^\||\|$/g, "")
+    .split("|")
+    .map((cell) => cell.trim());
+}
+
+function markdownToHtml(markdown) {
+  const lines = String(markdown || "").split("\n");
+  const html = [];
+  const footnotes = [];
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length) {
+      html.push(`<p>${paragraph.map(renderInlineMarkdown).join("<br>")}</p>`);
+      paragraph = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    const fence = line.match(/^(`{3,})\s*([\w+#-]*)\s*$/);
+    if (fence) {
+      flushParagraph();
+      const body = [];
+      i += 1;
+      while (i < lines.length && !new RegExp(`^${fence[1]}\`*\\s*$`).test(lines[i])) {
+        body.push(lines[i]);
+        i += 1;
+      }
+      const language = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : "";
+      html.push(`<pre><code${language}>${escapeHtml(body.join("\n"))}</code></pre>`);
+      continue;
+    }
+    if (/^<\/?details>$/.test(line.trim())) {
+      flushParagraph();
+      html.push(line.trim());
+      continue;
+    }
+    const summary = line.trim().match(/^<summary>(.*)<\/summary>$/);
+    if (summary) {
+      flushParagraph();
+      html.push(`<summary>${escapeHtml(summary[1])}</summary>`);
+      continue;
+    }
+    const footnote = line.match(/^\[\^([^\]\s]+)\]:\s*(.*)$/);
+    if (footnote) {
+      flushParagraph();
+      footnotes.push(`<li id="fn-${escapeHtml(footnote[1])}">${renderInlineMarkdown(footnote[2])}</li>`);
+      continue;
+    }
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      flushParagraph();
+      const level = Math.min(6, heading[1].length + 2);
+      html.push(`<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`);
+      continue;
+    }
+    if (/^\s*(?:---+|\*\*\*+)\s*$/.test(line)) {
+      flushParagraph();
+      html.push("<hr>");
+      continue;
+    }
+    if (/^>/.test(line)) {
+      flushParagraph();
+      const quoted = [];
+      while (i < lines.length && /^>/.test(lines[i])) {
+        quoted.push(lines[i].replace(/^> ?/, ""));
+        i += 1;
+      }
+      i -= 1;
+      html.push(`<blockquote>${markdownToHtml(quoted.join("\n"))}</blockquote>`);
+      continue;
+    }
+    if (/^\s*\|/.test(line) && i + 1 < lines.length && /^\s*\|?\s*:?-{3,}/.test(lines[i + 1])) {
+      flushParagraph();
+      const headers = splitTableRow(line);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && /^\s*\|/.test(lines[i])) {
+        rows.push(splitTableRow(lines[i]));
+        i += 1;
+      }
+      i -= 1;
+      const head = headers.map((cell) => `<th>${renderInlineMarkdown(cell)}</th>`).join("");
+      const body = rows
+        .map((row) => `<tr>${row.map((cell) => `<td>${renderInlineMarkdown(cell)}</td>`).join("")}</tr>`)
+        .join("");
+      html.push(`<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`);
+      continue;
+    }
+    const listItem = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+    if (listItem) {
+      flushParagraph();
+      const ordered = /\d/.test(listItem[1]);
+      const items = [];
+      while (i < lines.length) {
+        const match = lines[i].match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+        if (match && /\d/.test(match[1]) === ordered) {
+          items.push(match[2]);
+        } else if (items.length && /^\s{2,}\S/.test(lines[i])) {
+          items[items.length - 1] += `\n${lines[i].trim()}`;
+        } else {
+          break;
+        }
+        i += 1;
+      }
+      i -= 1;
+      const tag = ordered ? "ol" : "ul";
+      const content = items
+        .map((item) => `<li>${item.split("\n").map(renderInlineMarkdown).join("<br>")}</li>`)
+        .join("");
+      html.push(`<${tag}>${content}</${tag}>`);
+      continue;
+    }
+    if (!line.trim()) {
+      flushParagraph();
+      continue;
+    }
+    paragraph.push(line);
+  }
+  flushParagraph();
+
+  if (footnotes.length) {
+    html.push(`<ol class="footnotes">${footnotes.join("")}</ol>`);
+  }
+  return html.join("\n");
+}
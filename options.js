@@ -9,78 +9,1297 @@ function formatStatus(status) {
   if (status.lastSyncFinishedAt) {
     lines.push(`Last sync finished: ${status.lastSyncFinishedAt}`);
   }
+  if (status.lastSyncAccount) {
+    lines.push(`Account: ${status.lastSyncAccount}`);
+  }
   if (status.lastSyncReason) {
     lines.push(`Reason: ${status.lastSyncReason}`);
   }
+  if (isSyncRunning(status) && (status.paused || status.cancelRequested)) {
+    lines.push(`State: ${status.cancelRequested ? "cancelling" : "paused"}`);
+  } else if (!isSyncRunning(status) && status.lastSyncResult) {
+    lines.push(`Result: ${status.lastSyncResult}`);
+  }
   if (status.lastSyncSummary) {
     const summary = status.lastSyncSummary;
     lines.push(
-      `Summary: ${summary.updated || 0} updated, ${summary.skipped || 0} unchanged, ${summary.errors || 0} errors, ${summary.total || 0} total.`
+      `Summary: ${summary.updated || 0} updated, ${summary.skipped || 0} unchanged, ${summary.excluded || 0} excluded, ${summary.errors || 0} errors, ${summary.total || 0} total.`
     );
   }
-  if (status.progress && status.progress.total) {
-    const progress = status.progress;
-    const label = progress.status ? `${progress.status} ` : "";
-    lines.push(`Progress: ${label}${progress.processed || 0} / ${progress.total}`);
+  if (status.progress && status.progress.total) {
+    const progress = status.progress;
+    const label = progress.status ? `${progress.status} ` : "";
+    lines.push(`Progress: ${label}${progress.processed || 0} / ${progress.total}`);
+  }
+  if (status.lastError) {
+    lines.push(`Error: ${status.lastError}`);
+  }
+  return lines.length ? lines.join("\n") : "No sync activity yet.";
+}
+
+function isSyncRunning(status) {
+  if (!status || !status.lastSyncStartedAt) {
+    return false;
+  }
+  return !status.lastSyncFinishedAt || status.lastSyncFinishedAt < status.lastSyncStartedAt;
+}
+
+function applySyncControls(status) {
+  const running = isSyncRunning(status);
+  const pauseButton = document.getElementById("pauseSync");
+  const cancelButton = document.getElementById("cancelSync");
+  pauseButton.hidden = !running;
+  cancelButton.hidden = !running;
+  pauseButton.textContent = status && status.paused ? "Resume" : "Pause";
+  pauseButton.disabled = !!(status && status.cancelRequested);
+  cancelButton.disabled = !!(status && status.cancelRequested);
+}
+
+function sendSyncControl(action) {
+  chrome.runtime.sendMessage({ type: "sync-control", action }, (response) => {
+    if (response && response.ok === false && response.error) {
+      window.alert(response.error);
+    }
+    loadStatus();
+  });
+}
+
+function formatIso(value) {
+  if (!value) {
+    return "Unknown";
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return "Unknown";
+  }
+  return date.toLocaleString();
+}
+
+function formatEpochSeconds(value) {
+  if (!value) {
+    return "Unknown";
+  }
+  const seconds = Number.parseFloat(value);
+  if (!Number.isFinite(seconds)) {
+    return "Unknown";
+  }
+  const date = new Date(seconds * 1000);
+  if (Number.isNaN(date.getTime())) {
+    return "Unknown";
+  }
+  return date.toLocaleString();
+}
+
+function formatCount(value) {
+  return String(value || 0).replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+}
+
+function readOptions() {
+  return {
+    syncIntervalMinutes: Number.parseInt(
+      document.getElementById("syncInterval").value,
+      10
+    ),
+    maxParallelFetch: Number.parseInt(
+      document.getElementById("parallelFetches").value,
+      10
+    ),
+    includeJson: document.getElementById("includeJson").checked,
+    includeMarkdown: document.getElementById("includeMarkdown").checked,
+    includeHtml: document.getElementById("includeHtml").checked,
+    keepHistory: document.getElementById("keepHistory").checked,
+    encryptFiles: document.getElementById("encryptFiles").checked,
+    historyRetention: Number.parseInt(document.getElementById("historyRetention").value, 10),
+    deleteRemoved: document.getElementById("deleteRemoved").checked,
+    deleteGuardCount: Number.parseInt(document.getElementById("deleteGuardCount").value, 10),
+    deleteGuardPercent: Number.parseFloat(document.getElementById("deleteGuardPercent").value),
+    trashRetentionDays: Number.parseInt(document.getElementById("trashRetentionDays").value, 10),
+    downloadAttachments: document.getElementById("downloadAttachments").checked,
+    includeToolMessages: document.getElementById("includeToolMessages").checked,
+    sendAccountHeader: document.getElementById("sendAccountHeader").checked,
+    syncArchived: document.getElementById("syncArchived").checked,
+    maxAttachmentMb: Number.parseFloat(document.getElementById("maxAttachmentMb").value),
+    maxRunMinutes: Number.parseInt(document.getElementById("maxRunMinutes").value, 10),
+    pathTemplate: document.getElementById("pathTemplate").value,
+    destinations: readDestinations(),
+    includeRules: document.getElementById("includeRules").value,
+    excludeRules: document.getElementById("excludeRules").value,
+    blockedIds: currentOptions && Array.isArray(currentOptions.blockedIds) ? currentOptions.blockedIds : [],
+    redactDetectors: Array.from(document.querySelectorAll("[data-detector]"))
+      .filter((input) => input.checked)
+      .map((input) => input.dataset.detector),
+    redactPatterns: document.getElementById("redactPatterns").value,
+    redactMode: document.getElementById("redactMode").value
+  };
+}
+
+function applyOptions(options) {
+  document.getElementById("syncInterval").value = options.syncIntervalMinutes || 10;
+  document.getElementById("parallelFetches").value = options.maxParallelFetch || 3;
+  document.getElementById("includeJson").checked = options.includeJson !== false;
+  document.getElementById("includeMarkdown").checked = options.includeMarkdown !== false;
+  document.getElementById("includeHtml").checked = options.includeHtml === true;
+  document.getElementById("keepHistory").checked = options.keepHistory === true;
+  document.getElementById("encryptFiles").checked = options.encryptFiles === true;
+  document.getElementById("historyRetention").value = options.historyRetention || 10;
+  document.getElementById("deleteRemoved").checked = options.deleteRemoved === true;
+  document.getElementById("deleteGuardCount").value =
+    Number.isFinite(options.deleteGuardCount) ? options.deleteGuardCount : 20;
+  document.getElementById("deleteGuardPercent").value =
+    Number.isFinite(options.deleteGuardPercent) ? options.deleteGuardPercent : 10;
+  document.getElementById("trashRetentionDays").value =
+    Number.isFinite(options.trashRetentionDays) ? options.trashRetentionDays : 30;
+  document.getElementById("downloadAttachments").checked = options.downloadAttachments === true;
+  document.getElementById("includeToolMessages").checked = options.includeToolMessages !== false;
+  document.getElementById("sendAccountHeader").checked = options.sendAccountHeader !== false;
+  document.getElementById("syncArchived").checked = options.syncArchived !== false;
+  document.getElementById("maxAttachmentMb").value =
+    Number.isFinite(options.maxAttachmentMb) ? options.maxAttachmentMb : 25;
+  document.getElementById("maxRunMinutes").value =
+    Number.isFinite(options.maxRunMinutes) ? options.maxRunMinutes : 60;
+  document.getElementById("pathTemplate").value = options.pathTemplate || "{id}";
+  renderDestinationEditors(Array.isArray(options.destinations) ? options.destinations : []);
+  document.getElementById("includeRules").value = options.includeRules || "";
+  document.getElementById("excludeRules").value = options.excludeRules || "";
+  renderRuleErrors();
+  const detectors = Array.isArray(options.redactDetectors) ? options.redactDetectors : [];
+  for (const input of document.querySelectorAll("[data-detector]")) {
+    input.checked = detectors.includes(input.dataset.detector);
+  }
+  document.getElementById("redactPatterns").value = options.redactPatterns || "";
+  document.getElementById("redactMode").value = options.redactMode === "hash" ? "hash" : "mask";
+  renderRedactionPreview();
+}
+
+function getRuleErrors() {
+  const include = parseSyncRules(document.getElementById("includeRules").value).errors;
+  const exclude = parseSyncRules(document.getElementById("excludeRules").value).errors;
+  return [
+    ...include.map((error) => `Include line ${error.line}: ${error.message}`),
+    ...exclude.map((error) => `Exclude line ${error.line}: ${error.message}`)
+  ];
+}
+
+function renderRuleErrors() {
+  const errors = getRuleErrors();
+  const blocked = currentOptions && Array.isArray(currentOptions.blockedIds)
+    ? currentOptions.blockedIds.length
+    : 0;
+  const lines = errors.length ? errors : ["Rules are valid."];
+  lines.push(`Blocked conversations: ${formatCount(blocked)} (use Exclude selected / Allow selected in the local index).`);
+  document.getElementById("rulesStatus").textContent = lines.join("\n");
+}
+
+function getRedactionErrors() {
+  return parseRedactionPatterns(document.getElementById("redactPatterns").value).errors.map(
+    (error) => `Pattern line ${error.line}: ${error.message}`
+  );
+}
+
+// Runs the unsaved settings over the test text, so rules can be tried before
+// they touch the archive.
+let redactionPreviewSequence = 0;
+
+async function renderRedactionPreview() {
+  const sequence = ++redactionPreviewSequence;
+  const options = readOptions();
+  const redactor = createRedactor(options, options.redactMode === "hash" ? await loadRedactionKey() : null);
+  if (sequence !== redactionPreviewSequence) {
+    return;
+  }
+  const errors = getRedactionErrors();
+  const sample = document.getElementById("redactionSample").value;
+  const lines = errors.length ? errors : [redactor.active ? "Patterns are valid." : "Redaction is off."];
+  if (sample && redactor.active) {
+    const result = await redactText(redactor, sample);
+    if (sequence !== redactionPreviewSequence) {
+      return;
+    }
+    lines.push(`${formatCount(result.count)} redaction${result.count === 1 ? "" : "s"}:`);
+    for (const match of result.matches) {
+      lines.push(`  ${match.name}: ${match.value}`);
+    }
+    lines.push("", result.text);
+  }
+  document.getElementById("redactionPreview").textContent = lines.join("\n");
+}
+
+// Saves only the blocklist, so unsaved edits elsewhere in the form are not
+// applied by accident.
+function updateBlockedIds(ids, blocked, callback) {
+  if (!currentOptions) {
+    return;
+  }
+  const next = new Set(currentOptions.blockedIds || []);
+  for (const id of ids) {
+    if (blocked) {
+      next.add(id);
+    } else {
+      next.delete(id);
+    }
+  }
+  const options = { ...currentOptions, blockedIds: Array.from(next) };
+  chrome.runtime.sendMessage({ type: "update-options", options }, (response) => {
+    if (response && response.ok === false && response.error) {
+      window.alert(response.error);
+      return;
+    }
+    currentOptions = options;
+    renderRuleErrors();
+    if (callback) {
+      callback();
+    }
+  });
+}
+
+const DECRYPT_ERROR_PREVIEW_LIMIT = 20;
+let encryptionState = null;
+let decryptRunning = false;
+let decryptSource = null;
+
+function renderEncryptionStatus() {
+  const lines = [];
+  if (encryptionState && encryptionState.keyId) {
+    lines.push(
+      `Passphrase unlocked in this browser (key ${encryptionState.keyId}, ${formatIso(encryptionState.unlockedAt)}).`
+    );
+  } else {
+    lines.push("No passphrase unlocked for this account in this browser.");
+  }
+  lines.push(
+    currentOptions && currentOptions.encryptFiles
+      ? "Encryption is on: new files are encrypted and existing ones are converted on the next sync."
+      : "Encryption is off: files are written in plain text, and encrypted ones are decrypted on the next sync."
+  );
+  if (currentOptions && currentOptions.encryptFiles && usesHtmlViewer(currentOptions)) {
+    lines.push(
+      "The HTML archive viewer is encrypted too and will not open in a browser. Use Decrypt a copy to browse it."
+    );
+  }
+  document.getElementById("encryptionStatus").textContent = lines.join("\n");
+}
+
+function usesHtmlViewer(options) {
+  return (
+    options.includeHtml === true ||
+    (Array.isArray(options.destinations) && options.destinations.some((destination) => destination.includeHtml === true))
+  );
+}
+
+function loadEncryptionState() {
+  const key = scopedName("encryptionSettings");
+  chrome.storage.local.get([key], (result) => {
+    encryptionState = (result && result[key]) || null;
+    renderEncryptionStatus();
+  });
+}
+
+// A new passphrase has to be typed twice; a typo would lock the archive.
+function readPassphrase(creating) {
+  const passphrase = document.getElementById("encryptionPassphrase").value;
+  if (!passphrase) {
+    window.alert("Enter the passphrase first.");
+    return null;
+  }
+  if (creating && document.getElementById("encryptionPassphraseRepeat").value !== passphrase) {
+    window.alert("The repeated passphrase does not match.");
+    return null;
+  }
+  return passphrase;
+}
+
+function setEncryptionPassphrase(replace) {
+  const passphrase = readPassphrase(replace || !encryptionState);
+  if (passphrase === null) {
+    return;
+  }
+  if (
+    replace &&
+    !window.confirm("Replace the passphrase? Every synced file is re-encrypted with the new key on the next sync.")
+  ) {
+    return;
+  }
+  document.getElementById("encryptionStatus").textContent = "Deriving the key...";
+  chrome.runtime.sendMessage({ type: "set-encryption-passphrase", passphrase, replace }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.ok) {
+      window.alert((response && response.error) || "Unable to reach the extension background.");
+      renderEncryptionStatus();
+      return;
+    }
+    document.getElementById("encryptionPassphrase").value = "";
+    document.getElementById("encryptionPassphraseRepeat").value = "";
+    loadEncryptionState();
+  });
+}
+
+async function readEncryptionSettings(dir) {
+  try {
+    const file = await (await dir.getFileHandle(ENCRYPTION_FILE, { create: false })).getFile();
+    return JSON.parse(await file.text());
+  } catch (err) {
+    throw new Error(`No valid ${ENCRYPTION_FILE} in "${dir.name}"; pick the root of an encrypted sync folder.`);
+  }
+}
+
+async function decryptDirectory(sourceDir, targetDir, prefix, getKey, report) {
+  for await (const [name, handle] of sourceDir.entries()) {
+    const path = prefix ? `${prefix}/${name}` : name;
+    if (handle.kind === "directory") {
+      const child = await targetDir.getDirectoryHandle(name, { create: true });
+      await decryptDirectory(handle, child, path, getKey, report);
+      continue;
+    }
+    if (path === ENCRYPTION_FILE) {
+      continue;
+    }
+    try {
+      const file = await handle.getFile();
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      const encrypted = isEncryptedEnvelope(bytes);
+      const content = encrypted ? await decryptEnvelope(bytes, getKey) : file;
+      const writable = await (await targetDir.getFileHandle(name, { create: true })).createWritable();
+      await writable.write(content);
+      await writable.close();
+      report.counts[encrypted ? "decrypted" : "copied"] += 1;
+    } catch (err) {
+      report.counts.failed += 1;
+      report.errors.push(`${path}: ${err.message}`);
+    }
+    report.update();
+  }
+}
+
+function formatDecryptReport(counts, errors, done) {
+  const lines = [
+    done ? "Decrypted copy finished." : "Decrypting...",
+    `Decrypted: ${formatCount(counts.decrypted)}`,
+    `Copied (not encrypted): ${formatCount(counts.copied)}`,
+    `Failed: ${formatCount(counts.failed)}`
+  ];
+  for (const error of errors.slice(0, DECRYPT_ERROR_PREVIEW_LIMIT)) {
+    lines.push(`  ${error}`);
+  }
+  if (errors.length > DECRYPT_ERROR_PREVIEW_LIMIT) {
+    lines.push(`  ...and ${formatCount(errors.length - DECRYPT_ERROR_PREVIEW_LIMIT)} more.`);
+  }
+  return lines.join("\n");
+}
+
+// Reads the folder directly instead of going through the ChatGPT tab, so an
+// archive copied to another computer can be opened with just the passphrase.
+// Each folder picker needs its own click, so the source is checked first and
+// the output folder is chosen with a second button.
+async function pickDecryptSource(passphrase) {
+  if (typeof window.showDirectoryPicker !== "function") {
+    throw new Error("File system access is not available in this browser.");
+  }
+  const source = await window.showDirectoryPicker({ id: "encrypted-archive", mode: "read" });
+  const settings = await readEncryptionSettings(source);
+  document.getElementById("encryptionStatus").textContent = "Checking the passphrase...";
+  const key = await unlockEncryptionSettings(passphrase, settings);
+  decryptSource = { handle: source, settings, key };
+  document.getElementById("encryptionStatus").textContent =
+    `Passphrase accepted for "${source.name}". Choose an empty folder for the decrypted copy.`;
+  document.getElementById("decryptTarget").hidden = false;
+}
+
+async function runDecryptCopy() {
+  const { handle: source, settings, key } = decryptSource;
+  const target = await window.showDirectoryPicker({ id: "decrypted-copy", mode: "readwrite" });
+  if (await target.isSameEntry(source)) {
+    throw new Error("Pick a different folder for the decrypted copy.");
+  }
+  const output = document.getElementById("encryptionStatus");
+  const report = {
+    counts: { decrypted: 0, copied: 0, failed: 0 },
+    errors: [],
+    update() {
+      output.textContent = formatDecryptReport(report.counts, report.errors, false);
+    }
+  };
+  await decryptDirectory(source, target, "", async (keyId) => (keyId === settings.key_id ? key : null), report);
+  output.textContent = formatDecryptReport(report.counts, report.errors, true);
+  decryptSource = null;
+  document.getElementById("decryptTarget").hidden = true;
+}
+
+function runDecryptStep(step) {
+  if (decryptRunning) {
+    return;
+  }
+  decryptRunning = true;
+  document.getElementById("decryptArchive").disabled = true;
+  document.getElementById("decryptTarget").disabled = true;
+  step()
+    .catch((err) => {
+      if (err && err.name === "AbortError") {
+        return;
+      }
+      const output = document.getElementById("encryptionStatus");
+      output.textContent = `${output.textContent}\nDecrypt stopped: ${err.message}`.trim();
+    })
+    .finally(() => {
+      decryptRunning = false;
+      document.getElementById("decryptArchive").disabled = false;
+      document.getElementById("decryptTarget").disabled = false;
+    });
+}
+
+const DESTINATION_FORMATS = [
+  ["includeJson", "Save JSON files"],
+  ["includeMarkdown", "Save Markdown files"],
+  ["includeHtml", "Generate HTML archive viewer"],
+  ["deleteRemoved", "Move local files to .trash when a chat disappears"]
+];
+
+function createDestinationEditor(destination) {
+  const editor = document.createElement("div");
+  editor.className = "destination-editor";
+  editor.dataset.id = destination.id;
+
+  const nameLabel = document.createElement("label");
+  const nameText = document.createElement("span");
+  nameText.textContent = "Name";
+  const nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.className = "destination-name";
+  nameInput.value = destination.name || "";
+  nameLabel.append(nameText, nameInput);
+
+  const pathLabel = document.createElement("label");
+  const pathText = document.createElement("span");
+  pathText.textContent = "File path template";
+  const pathInput = document.createElement("input");
+  pathInput.type = "text";
+  pathInput.className = "destination-path";
+  pathInput.placeholder = "{id}";
+  pathInput.value = destination.pathTemplate || "{id}";
+  pathLabel.append(pathText, pathInput);
+
+  const checkboxes = document.createElement("div");
+  checkboxes.className = "checkboxes";
+  for (const [key, text] of DESTINATION_FORMATS) {
+    const label = document.createElement("label");
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.dataset.option = key;
+    input.checked = key === "includeMarkdown" ? destination[key] !== false : destination[key] === true;
+    const span = document.createElement("span");
+    span.textContent = text;
+    label.append(input, span);
+    checkboxes.appendChild(label);
+  }
+
+  const actions = document.createElement("div");
+  actions.className = "actions";
+  const remove = document.createElement("button");
+  remove.className = "danger";
+  remove.textContent = "Remove destination";
+  remove.addEventListener("click", () => {
+    editor.remove();
+  });
+  actions.appendChild(remove);
+
+  editor.append(nameLabel, pathLabel, checkboxes, actions);
+  return editor;
+}
+
+function renderDestinationEditors(destinations) {
+  const list = document.getElementById("destinationList");
+  list.textContent = "";
+  for (const destination of destinations) {
+    list.appendChild(createDestinationEditor(destination));
+  }
+}
+
+function readDestinations() {
+  return Array.from(document.querySelectorAll(".destination-editor")).map((editor) => {
+    const destination = {
+      id: editor.dataset.id,
+      name: editor.querySelector(".destination-name").value,
+      pathTemplate: editor.querySelector(".destination-path").value
+    };
+    for (const input of editor.querySelectorAll("input[data-option]")) {
+      destination[input.dataset.option] = input.checked;
+    }
+    return destination;
+  });
+}
+
+function describeDestinationAccess(access) {
+  switch (access) {
+    case "granted":
+      return "ready";
+    case "prompt":
+      return "access needed (grant it from the widget on chatgpt.com)";
+    case "missing":
+      return "no folder yet (choose it from the widget on chatgpt.com)";
+    case "unavailable":
+      return "unavailable";
+    default:
+      return "not checked yet";
+  }
+}
+
+let latestDestinationStatus = null;
+
+function renderDestinationHealth(statusMap) {
+  latestDestinationStatus = statusMap || null;
+  const destinations = [
+    { id: "root", name: "Main folder" },
+    ...((currentOptions && currentOptions.destinations) || [])
+  ];
+  const lines = destinations.map((destination) => {
+    const health = (statusMap && statusMap[destination.id]) || {};
+    const parts = [
+      `${destination.name}: ${health.folder || "no folder"}, ${describeDestinationAccess(health.access)}`
+    ];
+    if (health.lastWriteAt) {
+      parts.push(`last write ${formatIso(health.lastWriteAt)}`);
+    }
+    if (health.lastRunAt) {
+      parts.push(`last run ${health.lastRunWritten || 0} written, ${health.lastRunErrors || 0} errors`);
+    }
+    if (health.lastError) {
+      parts.push(`error: ${health.lastError}`);
+    }
+    return parts.join("; ");
+  });
+  document.getElementById("destinationHealth").textContent = lines.join("\n");
+}
+
+const PENDING_PREVIEW_LIMIT = 50;
+
+function renderPendingDeletion(pending) {
+  const card = document.getElementById("pendingDeletion");
+  const entries = pending && Array.isArray(pending.entries) ? pending.entries : [];
+  card.hidden = entries.length === 0;
+  if (!entries.length) {
+    return;
+  }
+  const percent = pending.known ? Math.round((entries.length / pending.known) * 100) : 0;
+  document.getElementById("pendingDeletionSummary").textContent =
+    `${formatCount(entries.length)} of ${formatCount(pending.known)} known chats (${percent}%) were missing from the full inventory on ${formatIso(pending.detectedAt)}. ` +
+    "Their files were left untouched because this exceeds the deletion guard. Move to trash removes them; Keep files stops tracking them but leaves the files in place. If the listing was only incomplete, do nothing: the next full inventory checks again.";
+  const list = document.getElementById("pendingDeletionList");
+  list.textContent = "";
+  for (const entry of entries.slice(0, PENDING_PREVIEW_LIMIT)) {
+    const item = document.createElement("li");
+    item.textContent = `${entry.title || "(untitled)"} (${entry.path || entry.id})`;
+    list.appendChild(item);
+  }
+  if (entries.length > PENDING_PREVIEW_LIMIT) {
+    const more = document.createElement("li");
+    more.textContent = `...and ${formatCount(entries.length - PENDING_PREVIEW_LIMIT)} more.`;
+    list.appendChild(more);
+  }
+}
+
+function resolvePendingDeletion(action) {
+  chrome.runtime.sendMessage({ type: "resolve-pending-deletion", action }, (response) => {
+    if (response && response.ok === false && response.error) {
+      window.alert(response.error);
+      return;
+    }
+    if (response && response.failed) {
+      window.alert(`${response.failed} conversations could not be moved to the trash.`);
+    }
+    refreshIndex();
+  });
+}
+
+const VERIFY_CATEGORIES = ["missing", "corrupted", "stale", "orphaned"];
+
+function renderArchiveVerify(report) {
+  const status = document.getElementById("verifyStatus");
+  const list = document.getElementById("verifyList");
+  list.textContent = "";
+  if (!report || !Array.isArray(report.folders)) {
+    status.textContent = "Not verified yet.";
+    return;
+  }
+  const lines = [`Checked ${formatIso(report.checkedAt)}.`];
+  for (const folder of report.folders) {
+    const counts = VERIFY_CATEGORIES.map((key) => `${formatCount(folder.counts[key] || 0)} ${key}`);
+    lines.push(`${folder.name}: ${formatCount(folder.checked)} files checked, ${counts.join(", ")}.`);
+    if (folder.adopted) {
+      lines.push(`  ${formatCount(folder.adopted)} files were not in manifest.json yet and were added.`);
+    }
+  }
+  if (report.unavailable && report.unavailable.length) {
+    lines.push(`Skipped (no access): ${report.unavailable.join(", ")}.`);
+  }
+  if (report.queued) {
+    lines.push(`${formatCount(report.queued)} chats were queued for refetch.`);
+  } else if (report.ids && report.ids.length) {
+    lines.push(`${formatCount(report.ids.length)} chats need a refetch.`);
+  }
+  status.textContent = lines.join("\n");
+  for (const folder of report.folders) {
+    for (const key of VERIFY_CATEGORIES) {
+      const items = (folder.items && folder.items[key]) || [];
+      for (const entry of items) {
+        const item = document.createElement("li");
+        const reason = entry.reason ? ` (${entry.reason})` : "";
+        item.textContent = `${folder.name}: ${key}: ${entry.path}${reason}`;
+        list.appendChild(item);
+      }
+      if ((folder.counts[key] || 0) > items.length) {
+        const more = document.createElement("li");
+        more.textContent = `${folder.name}: ...and ${formatCount(folder.counts[key] - items.length)} more ${key}.`;
+        list.appendChild(more);
+      }
+    }
+  }
+}
+
+const IMPORT_BATCH_SIZE = 25;
+const IMPORT_BATCH_MAX_BYTES = 24 * 1024 * 1024;
+// Extension messages are capped at 64 MB, and base64 grows files by a third.
+const IMPORT_MAX_FILE_BYTES = 40 * 1024 * 1024;
+const IMPORT_ERROR_PREVIEW_LIMIT = 20;
+let importRunning = false;
+
+function findExportEntry(entries, fileName) {
+  const matches = entries.filter((entry) => entry.name.split("/").pop() === fileName);
+  matches.sort((a, b) => a.name.length - b.name.length);
+  return matches[0] || null;
+}
+
+function getExportFileId(name) {
+  const match = name.split("/").pop().match(/^(file[-_][A-Za-z0-9]+)/);
+  return match ? match[1] : "";
+}
+
+function indexExportMedia(entries) {
+  const media = new Map();
+  for (const entry of entries) {
+    const fileId = getExportFileId(entry.name);
+    if (fileId && !/\.(json|html)$/i.test(entry.name) && !media.has(fileId)) {
+      media.set(fileId, entry);
+    }
+  }
+  return media;
+}
+
+function collectExportFileIds(conversation, mediaIndex) {
+  const ids = new Set();
+  const pattern = /file[-_][A-Za-z0-9]+/g;
+  const text = JSON.stringify(conversation);
+  let match;
+  while ((match = pattern.exec(text))) {
+    if (mediaIndex.has(match[0])) {
+      ids.add(match[0]);
+    }
+  }
+  return Array.from(ids);
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+async function readExportMedia(file, entry) {
+  const fileId = getExportFileId(entry.name);
+  const name = entry.name.split("/").pop().slice(fileId.length).replace(/^[-_.]+/, "");
+  const limitMb = currentOptions ? Number(currentOptions.maxAttachmentMb) || 0 : 0;
+  const limit = limitMb ? Math.min(limitMb * 1024 * 1024, IMPORT_MAX_FILE_BYTES) : IMPORT_MAX_FILE_BYTES;
+  if (entry.size > limit) {
+    return { name, type: "", size: entry.size, data: null };
+  }
+  const blob = await readZipEntryBlob(file, entry);
+  return { name, type: blob.type, size: blob.size, data: await blobToDataUrl(blob) };
+}
+
+function sendImportMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError || !response) {
+        reject(new Error("The extension did not respond."));
+        return;
+      }
+      if (!response.ok) {
+        reject(new Error(response.error || "Import failed."));
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+async function sendImportBatch(conversations, media) {
+  const response = await sendImportMessage({ type: "import-conversations", conversations, media });
+  return response.results || [];
+}
+
+function formatImportReport(counts, errors, done, total) {
+  const lines = [
+    `${done ? "Import finished" : "Importing"}: ${formatCount(counts.processed)} of ${formatCount(total)} conversations.`,
+    `Added: ${formatCount(counts.added)}`,
+    `Backfilled older local copies: ${formatCount(counts.backfilled)}`,
+    `Already up to date: ${formatCount(counts.skipped)}`,
+    `Newer on the server (kept the synced copy): ${formatCount(counts.newer)}`,
+    `Excluded by sync rules: ${formatCount(counts.excluded)}`,
+    `Failed: ${formatCount(counts.error)}`
+  ];
+  for (const error of errors.slice(0, IMPORT_ERROR_PREVIEW_LIMIT)) {
+    lines.push(`  ${error.title || error.id || "(unknown)"}: ${error.error}`);
+  }
+  if (errors.length > IMPORT_ERROR_PREVIEW_LIMIT) {
+    lines.push(`  ...and ${formatCount(errors.length - IMPORT_ERROR_PREVIEW_LIMIT)} more.`);
+  }
+  return lines.join("\n");
+}
+
+// Everything is read from the ZIP on this page; the ChatGPT tab only writes
+// files, so an import works without network access.
+async function runImport(file) {
+  const output = document.getElementById("importStatus");
+  output.textContent = "Reading the ZIP file...";
+  const entries = await readZipEntries(file);
+  const conversationsEntry = findExportEntry(entries, "conversations.json");
+  if (!conversationsEntry) {
+    throw new Error("conversations.json was not found in this ZIP. Is it a ChatGPT data export?");
+  }
+  output.textContent = "Reading conversations.json...";
+  const conversations = JSON.parse(await readZipEntryText(file, conversationsEntry));
+  if (!Array.isArray(conversations)) {
+    throw new Error("conversations.json does not contain a list of conversations.");
+  }
+  const mediaIndex = currentOptions && currentOptions.downloadAttachments
+    ? indexExportMedia(entries)
+    : new Map();
+  const counts = { processed: 0, added: 0, backfilled: 0, skipped: 0, newer: 0, excluded: 0, error: 0 };
+  const errors = [];
+  let index = 0;
+
+  // Holds the sync lock across batches; the ChatGPT tab must stay open until
+  // the import finishes.
+  await sendImportMessage({ type: "import-start" });
+  try {
+    while (index < conversations.length) {
+      const batch = [];
+      const media = {};
+      let batchBytes = 0;
+      while (index < conversations.length && batch.length < IMPORT_BATCH_SIZE) {
+        const conversation = conversations[index];
+        const fileIds = collectExportFileIds(conversation, mediaIndex).filter((id) => !media[id]);
+        const bytes = fileIds.reduce((sum, id) => sum + mediaIndex.get(id).size, 0);
+        if (batch.length && batchBytes + bytes > IMPORT_BATCH_MAX_BYTES) {
+          break;
+        }
+        for (const fileId of fileIds) {
+          media[fileId] = await readExportMedia(file, mediaIndex.get(fileId));
+        }
+        batch.push(conversation);
+        batchBytes += bytes;
+        index += 1;
+      }
+
+      const results = await sendImportBatch(batch, media);
+      for (const result of results) {
+        counts.processed += 1;
+        counts[result.status] = (counts[result.status] || 0) + 1;
+        if (result.status === "error") {
+          errors.push(result);
+        }
+      }
+      output.textContent = formatImportReport(counts, errors, false, conversations.length);
+    }
+  } finally {
+    await sendImportMessage({ type: "import-finish" }).catch(() => {});
+  }
+  output.textContent = formatImportReport(counts, errors, true, conversations.length);
+}
+
+let searchTimer = null;
+let searchSequence = 0;
+
+function formatSearchMeta(stats, rebuild) {
+  const lines = [`Indexed conversations: ${formatCount(stats ? stats.documents : 0)}`];
+  if (rebuild && rebuild.startedAt && !rebuild.finishedAt) {
+    lines.push(`Rebuilding: ${formatCount(rebuild.processed || 0)} / ${formatCount(rebuild.total || 0)}`);
+  } else if (rebuild && rebuild.error) {
+    lines.push(`Last rebuild failed: ${rebuild.error}`);
+  } else if (rebuild && rebuild.finishedAt) {
+    lines.push(
+      `Last rebuild: ${formatIso(rebuild.finishedAt)} (${formatCount(rebuild.processed || 0)} indexed, ${formatCount(rebuild.skipped || 0)} without local JSON)`
+    );
+  }
+  lines.push("New and updated conversations are indexed during each sync.");
+  return lines.join("\n");
+}
+
+function refreshSearchMeta() {
+  chrome.storage.local.get(["searchIndexStatus"], (result) => {
+    const rebuild = result ? result.searchIndexStatus : null;
+    getSearchStats()
+      .then((stats) => {
+        document.getElementById("searchMeta").textContent = formatSearchMeta(stats, rebuild);
+      })
+      .catch(() => {
+        document.getElementById("searchMeta").textContent = "Search index unavailable.";
+      });
+  });
+}
+
+function renderSearchResults(response) {
+  const container = document.getElementById("searchResults");
+  container.textContent = "";
+  const fragment = document.createDocumentFragment();
+
+  for (const result of response.results) {
+    const item = document.createElement("div");
+    item.className = "search-result";
+
+    const head = document.createElement("div");
+    head.className = "search-result-head";
+    const link = document.createElement("a");
+    link.href = `https://chatgpt.com/c/${result.id}`;
+    link.target = "_blank";
+    link.rel = "noopener";
+    link.textContent = result.title || "(untitled)";
+    const pill = document.createElement("span");
+    pill.className = "status-pill";
+    pill.textContent = result.active ? result.role : `${result.role} (alternate)`;
+    const time = document.createElement("span");
+    time.className = "search-result-time";
+    time.textContent = formatEpochSeconds(result.create_time);
+    head.appendChild(link);
+    head.appendChild(pill);
+    head.appendChild(time);
+
+    const snippet = document.createElement("div");
+    snippet.className = "search-snippet";
+    for (const segment of result.snippet) {
+      if (segment.match) {
+        const mark = document.createElement("mark");
+        mark.textContent = segment.text;
+        snippet.appendChild(mark);
+      } else {
+        snippet.appendChild(document.createTextNode(segment.text));
+      }
+    }
+
+    item.appendChild(head);
+    item.appendChild(snippet);
+    fragment.appendChild(item);
+  }
+  container.appendChild(fragment);
+}
+
+function runFullTextSearch() {
+  const query = document.getElementById("fullTextSearch").value.trim();
+  const sequence = (searchSequence += 1);
+  if (!query) {
+    document.getElementById("searchCount").textContent = "";
+    document.getElementById("searchResults").textContent = "";
+    return;
+  }
+  searchArchive(query)
+    .then((response) => {
+      if (sequence !== searchSequence) {
+        return;
+      }
+      const shown = response.results.length;
+      document.getElementById("searchCount").textContent =
+        shown < response.total
+          ? `Showing the top ${formatCount(shown)} of ${formatCount(response.total)} matching messages.`
+          : `${formatCount(response.total)} matching messages.`;
+      renderSearchResults(response);
+    })
+    .catch((err) => {
+      if (sequence === searchSequence) {
+        document.getElementById("searchCount").textContent = `Search failed: ${err.message}`;
+      }
+    });
+}
+
+function scheduleFullTextSearch() {
+  if (searchTimer) {
+    clearTimeout(searchTimer);
+  }
+  searchTimer = setTimeout(() => {
+    runFullTextSearch();
+  }, 250);
+}
+
+let currentOptions = null;
+let currentStatus = null;
+let readerEntryId = null;
+let readerSequence = 0;
+let readerLoadedSyncAt = null;
+
+function getEntryPath(entry) {
+  return entry && entry.path ? entry.path : entry.id;
+}
+
+function findIndexEntry(id) {
+  return indexEntries.find((entry) => entry.id === id) || null;
+}
+
+function describeReaderEntry(entry) {
+  const lines = [
+    `Id: ${entry.id}`,
+    `File: conversations/${getEntryPath(entry)}`,
+    `Created: ${formatEpochSeconds(entry.create_time)}`,
+    `Updated: ${formatEpochSeconds(entry.update_time)}`,
+    `Archived: ${entry.archived ? "yes" : "no"}`,
+    `Project: ${entry.projectId ? entry.projectName || entry.projectId : "none"}`,
+    `GPT: ${entry.gizmoId ? entry.gizmoName || entry.gizmoId : "none"}`,
+    `Redactions: ${entry.redactionRules ? formatCount(entry.redactions) : "not redacted"}`,
+    `Last sync: ${entry.lastSyncAt ? formatIso(entry.lastSyncAt) : "Not synced"} (${entry.status || "unknown"})`
+  ];
+  if (entry.lastError) {
+    lines.push(`Last error: ${entry.lastError}`);
+  }
+  return lines.join("\n");
+}
+
+function readLocalFile(path) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type: "read-local-file", path }, (response) => {
+      if (chrome.runtime.lastError || !response) {
+        resolve({ ok: false, error: "Unable to reach the extension background." });
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+async function loadReaderMessages(entry) {
+  const local = await readLocalFile(`conversations/${getEntryPath(entry)}.json`);
+  if (local.ok) {
+    try {
+      const payload = JSON.parse(local.text);
+      if (payload && Array.isArray(payload.messages)) {
+        return { messages: payload.messages, source: "Loaded from the sync folder." };
+      }
+    } catch (err) {
+      local.error = "The local JSON file is not valid.";
+    }
+  }
+
+  // The folder handle lives in the chatgpt.com origin, so without an open tab
+  // (or with JSON files disabled) the search index copy is the best we have.
+  const cached = await getSearchDocument(entry.id).catch(() => null);
+  if (cached && cached.messages.length) {
+    return {
+      messages: cached.messages.map((message) => ({ ...message, content: message.text })),
+      source: `Showing the cached copy from the search index (${local.error || "local file unavailable"}).`
+    };
+  }
+  throw new Error(local.error || "No local copy available.");
+}
+
+function renderReaderMessage(message) {
+  const article = document.createElement("article");
+  article.className = `reader-message role-${message.role || "unknown"}`;
+  const role = document.createElement("div");
+  role.className = "reader-role";
+  role.textContent = message.author_name ? `${message.role} (${message.author_name})` : message.role || "unknown";
+  if (message.create_time) {
+    const time = document.createElement("span");
+    time.className = "reader-time";
+    time.textContent = formatEpochSeconds(message.create_time);
+    role.appendChild(time);
+  }
+  const body = document.createElement("div");
+  body.className = "reader-body";
+  body.innerHTML = markdownToHtml(message.content || "");
+  article.appendChild(role);
+  article.appendChild(body);
+  return article;
+}
+
+function renderReaderTranscript(messages) {
+  const container = document.getElementById("readerTranscript");
+  container.textContent = "";
+  const fragment = document.createDocumentFragment();
+  const branches = new Map();
+
+  for (const message of messages) {
+    if (message.active === false) {
+      const branch = Number.isFinite(message.branch) ? message.branch : 1;
+      if (!branches.has(branch)) {
+        branches.set(branch, []);
+      }
+      branches.get(branch).push(message);
+      continue;
+    }
+    fragment.appendChild(renderReaderMessage(message));
+  }
+
+  for (const [branch, items] of branches) {
+    const details = document.createElement("details");
+    details.className = "reader-branch";
+    const summary = document.createElement("summary");
+    summary.textContent = `Alternate branch ${branch} (${items.length} messages)`;
+    details.appendChild(summary);
+    for (const message of items) {
+      details.appendChild(renderReaderMessage(message));
+    }
+    fragment.appendChild(details);
+  }
+
+  if (!messages.length) {
+    container.textContent = "This conversation has no messages.";
+    return;
+  }
+  container.appendChild(fragment);
+}
+
+function refreshReaderMeta() {
+  if (!readerEntryId) {
+    return;
+  }
+  const entry = findIndexEntry(readerEntryId);
+  if (!entry) {
+    return;
+  }
+  if (entry.lastSyncAt !== readerLoadedSyncAt) {
+    openReader(entry.id, false);
+    return;
+  }
+  document.getElementById("readerMeta").textContent = describeReaderEntry(entry);
+}
+
+function openReader(id, scroll) {
+  const entry = findIndexEntry(id);
+  if (!entry) {
+    return;
+  }
+  const sequence = (readerSequence += 1);
+  readerEntryId = id;
+  readerLoadedSyncAt = entry.lastSyncAt;
+  const reader = document.getElementById("reader");
+  reader.hidden = false;
+  document.getElementById("readerTitle").textContent = entry.title || "(untitled)";
+  document.getElementById("readerMeta").textContent = describeReaderEntry(entry);
+  document.getElementById("readerSource").textContent = "Loading...";
+  document.getElementById("readerTranscript").textContent = "";
+  renderReaderHistory(entry);
+  applyIndexFilters();
+  if (scroll !== false) {
+    reader.scrollIntoView({ behavior: "smooth", block: "start" });
+  }
+
+  loadReaderMessages(entry)
+    .then((result) => {
+      if (sequence !== readerSequence) {
+        return;
+      }
+      document.getElementById("readerSource").textContent = result.source;
+      renderReaderTranscript(result.messages);
+    })
+    .catch((err) => {
+      if (sequence !== readerSequence) {
+        return;
+      }
+      document.getElementById("readerSource").textContent = err.message;
+    });
+}
+
+const DIFF_MAX_CELLS = 2000000;
+
+function renderReaderHistory(entry) {
+  const section = document.getElementById("readerHistory");
+  const versions = entry.versions || [];
+  document.getElementById("historyDiff").textContent = "";
+  section.hidden = versions.length < 2;
+  if (versions.length < 2) {
+    return;
+  }
+  const fill = (select, selected) => {
+    select.textContent = "";
+    for (const version of [...versions].reverse()) {
+      const option = document.createElement("option");
+      option.value = String(version);
+      option.textContent = formatEpochSeconds(version);
+      option.selected = version === selected;
+      select.appendChild(option);
+    }
+  };
+  fill(document.getElementById("historyFrom"), versions[versions.length - 2]);
+  fill(document.getElementById("historyTo"), versions[versions.length - 1]);
+  document.getElementById("historyCount").textContent = `${versions.length} saved versions.`;
+}
+
+async function readHistoryMessages(entry, version) {
+  const response = await readLocalFile(`conversations/${getEntryPath(entry)}/history/${version}.json`);
+  if (!response.ok) {
+    throw new Error(response.error || "Unable to read the saved version.");
+  }
+  const payload = JSON.parse(response.text);
+  return payload && Array.isArray(payload.messages) ? payload.messages : [];
+}
+
+function diffLines(before, after) {
+  const a = String(before || "").split("\n");
+  const b = String(after || "").split("\n");
+  if (a.length * b.length > DIFF_MAX_CELLS) {
+    return [
+      ...a.map((text) => ({ type: "del", text })),
+      ...b.map((text) => ({ type: "add", text }))
+    ];
+  }
+  // Longest common subsequence over lines, walked back from the end.
+  const width = b.length + 1;
+  const table = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      table[i * width + j] = a[i] === b[j]
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: "same", text: a[i] });
+      i += 1;
+      j += 1;
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      ops.push({ type: "del", text: a[i] });
+      i += 1;
+    } else {
+      ops.push({ type: "add", text: b[j] });
+      j += 1;
+    }
+  }
+  while (i < a.length) {
+    ops.push({ type: "del", text: a[i] });
+    i += 1;
   }
-  if (status.lastError) {
-    lines.push(`Error: ${status.lastError}`);
+  while (j < b.length) {
+    ops.push({ type: "add", text: b[j] });
+    j += 1;
   }
-  return lines.length ? lines.join("\n") : "No sync activity yet.";
+  return ops;
 }
 
-function formatIso(value) {
-  if (!value) {
-    return "Unknown";
+function diffConversationMessages(fromMessages, toMessages) {
+  const fromById = new Map(fromMessages.map((message) => [message.id, message]));
+  const toIds = new Set(toMessages.map((message) => message.id));
+  const rows = [];
+  for (const message of toMessages) {
+    const previous = fromById.get(message.id);
+    if (!previous) {
+      rows.push({ status: "added", message });
+    } else if (previous.content !== message.content || previous.active !== message.active) {
+      rows.push({ status: "changed", message, previous });
+    } else {
+      rows.push({ status: "unchanged", message });
+    }
   }
-  const date = new Date(value);
-  if (Number.isNaN(date.getTime())) {
-    return "Unknown";
+  for (const message of fromMessages) {
+    if (!toIds.has(message.id)) {
+      rows.push({ status: "removed", message });
+    }
   }
-  return date.toLocaleString();
+  return rows;
 }
 
-function formatEpochSeconds(value) {
-  if (!value) {
-    return "Unknown";
+function renderMessageDiff(row) {
+  const article = document.createElement("article");
+  article.className = `reader-message diff-${row.status}`;
+  const role = document.createElement("div");
+  role.className = "reader-role";
+  const branch = row.message.active === false ? `, branch ${row.message.branch}` : "";
+  role.textContent = `${row.status}: ${row.message.role || "unknown"}${branch}`;
+  article.appendChild(role);
+
+  const body = document.createElement("pre");
+  body.className = "diff-body";
+  const ops = row.status === "changed"
+    ? diffLines(row.previous.content, row.message.content)
+    : String(row.message.content || "").split("\n").map((text) => ({
+        type: row.status === "removed" ? "del" : "add",
+        text
+      }));
+  for (const op of ops) {
+    const line = document.createElement("span");
+    line.className = `diff-line diff-${op.type}`;
+    line.textContent = `${op.type === "add" ? "+" : op.type === "del" ? "-" : " "} ${op.text}\n`;
+    body.appendChild(line);
   }
-  const seconds = Number.parseFloat(value);
-  if (!Number.isFinite(seconds)) {
-    return "Unknown";
+  article.appendChild(body);
+  return article;
+}
+
+async function compareHistoryVersions() {
+  const entry = findIndexEntry(readerEntryId);
+  if (!entry) {
+    return;
   }
-  const date = new Date(seconds * 1000);
-  if (Number.isNaN(date.getTime())) {
-    return "Unknown";
+  const fromVersion = document.getElementById("historyFrom").value;
+  const toVersion = document.getElementById("historyTo").value;
+  const output = document.getElementById("historyDiff");
+  output.textContent = "Loading versions...";
+  try {
+    const [fromMessages, toMessages] = await Promise.all([
+      readHistoryMessages(entry, fromVersion),
+      readHistoryMessages(entry, toVersion)
+    ]);
+    const rows = diffConversationMessages(fromMessages, toMessages);
+    const counts = rows.reduce((acc, row) => {
+      acc[row.status] = (acc[row.status] || 0) + 1;
+      return acc;
+    }, {});
+    output.textContent = "";
+    const summary = document.createElement("div");
+    summary.className = "index-count";
+    summary.textContent = `${counts.added || 0} added, ${counts.changed || 0} changed, ${counts.removed || 0} removed, ${counts.unchanged || 0} unchanged messages.`;
+    output.appendChild(summary);
+    for (const row of rows) {
+      if (row.status !== "unchanged") {
+        output.appendChild(renderMessageDiff(row));
+      }
+    }
+  } catch (err) {
+    output.textContent = `Unable to compare versions: ${err.message}`;
   }
-  return date.toLocaleString();
 }
 
-function formatCount(value) {
-  return String(value || 0).replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+function closeReader() {
+  readerEntryId = null;
+  readerSequence += 1;
+  document.getElementById("reader").hidden = true;
+  applyIndexFilters();
 }
 
-function readOptions() {
-  return {
-    syncIntervalMinutes: Number.parseInt(
-      document.getElementById("syncInterval").value,
-      10
-    ),
-    maxParallelFetch: Number.parseInt(
-      document.getElementById("parallelFetches").value,
-      10
-    ),
-    includeJson: document.getElementById("includeJson").checked,
-    includeMarkdown: document.getElementById("includeMarkdown").checked,
-    deleteRemoved: document.getElementById("deleteRemoved").checked
-  };
-}
+async function openReaderFile() {
+  const entry = findIndexEntry(readerEntryId);
+  if (!entry) {
+    return;
+  }
+  const options = currentOptions || {};
+  const formats = [
+    options.includeHtml === true ? { ext: "html", type: "text/html" } : null,
+    options.includeMarkdown !== false ? { ext: "md", type: "text/plain" } : null,
+    options.includeJson !== false ? { ext: "json", type: "application/json" } : null
+  ].filter(Boolean);
 
-function applyOptions(options) {
-  document.getElementById("syncInterval").value = options.syncIntervalMinutes || 10;
-  document.getElementById("parallelFetches").value = options.maxParallelFetch || 3;
-  document.getElementById("includeJson").checked = options.includeJson !== false;
-  document.getElementById("includeMarkdown").checked = options.includeMarkdown !== false;
-  document.getElementById("deleteRemoved").checked = options.deleteRemoved === true;
+  let lastError = "No file formats are enabled.";
+  for (const format of formats) {
+    const response = await readLocalFile(`conversations/${getEntryPath(entry)}.${format.ext}`);
+    if (response.ok) {
+      const url = URL.createObjectURL(new Blob([response.text], { type: `${format.type};charset=utf-8` }));
+      window.open(url, "_blank");
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+      return;
+    }
+    lastError = response.error || lastError;
+  }
+  window.alert(`Unable to open the local file: ${lastError}`);
 }
 
 let indexEntries = [];
@@ -88,34 +1307,68 @@ let indexTotal = 0;
 let latestSyncState = null;
 let indexRenderTimer = null;
 let filterTimer = null;
+let visibleEntries = [];
+let indexLoadSequence = 0;
+const selectedIds = new Set();
 
-function buildIndexEntries(syncState) {
-  const metaMap = (syncState && syncState.meta) || {};
-  const convMap = (syncState && syncState.conversations) || {};
-  const runMap = (syncState && syncState.lastRun) || {};
-  const ids = new Set([
-    ...Object.keys(metaMap),
-    ...Object.keys(convMap)
-  ]);
+function toIndexEntry(record) {
+  const meta = record.meta || {};
+  const run = record.lastRun || null;
+  return {
+    id: record.id,
+    title: meta.title || (run && run.title) || "(untitled)",
+    create_time: meta.create_time || (run && run.create_time) || 0,
+    update_time: meta.update_time || record.update_time || 0,
+    path: meta.path || "",
+    versions: Array.isArray(meta.versions) ? meta.versions : [],
+    archived: meta.is_archived === true || (!record.meta && run && run.is_archived === true),
+    projectId: meta.project_id || "",
+    projectName: meta.project_name || "",
+    gizmoId: meta.gizmo_id || "",
+    gizmoName: meta.gizmo_name || "",
+    redactions: meta.redactions || 0,
+    redactionRules: meta.redaction_rules || "",
+    status: run && run.status ? run.status : "unknown",
+    lastSyncAt: run && run.at ? run.at : "",
+    lastError: run && (run.error || run.reason) ? run.error || run.reason : ""
+  };
+}
 
+async function buildIndexEntries() {
   const entries = [];
-  for (const id of ids) {
-    const meta = metaMap[id] || {};
-    const updateTime = meta.update_time || convMap[id] || 0;
-    const run = runMap[id] || null;
-    entries.push({
-      id,
-      title: meta.title || "(untitled)",
-      create_time: meta.create_time || 0,
-      update_time: updateTime,
-      status: run && run.status ? run.status : "unknown",
-      lastSyncAt: run && run.at ? run.at : "",
-      lastError: run && run.error ? run.error : ""
-    });
-  }
+  let afterId = null;
+  do {
+    const page = await readConversationStatePage(afterId, STATE_PAGE_SIZE);
+    for (const record of page.records) {
+      entries.push(toIndexEntry(record));
+    }
+    afterId = page.nextId;
+  } while (afterId);
   return entries;
 }
 
+function reloadIndex(syncState) {
+  const sequence = (indexLoadSequence += 1);
+  latestSyncState = syncState;
+  return buildIndexEntries()
+    .then((entries) => {
+      if (sequence !== indexLoadSequence) {
+        return;
+      }
+      indexEntries = entries;
+      indexTotal = entries.length;
+      pruneSelection();
+      renderGroupFilter();
+      updateIndexMeta(latestSyncState || {}, indexEntries);
+      applyIndexFilters();
+      refreshReaderMeta();
+    })
+    .catch((err) => {
+      document.getElementById("indexCount").textContent =
+        `Unable to read the local index: ${err.message || err}`;
+    });
+}
+
 function updateIndexMeta(syncState, entries) {
   const meta = [];
   const total = entries.length;
@@ -124,7 +1377,7 @@ function updateIndexMeta(syncState, entries) {
     : "Never";
   const inProgress = syncState && syncState.inventoryInProgress ? "Yes" : "No";
   const cursor = syncState && syncState.inventoryCursor
-    ? `Offset ${syncState.inventoryCursor.offset || 0} (updated ${formatIso(syncState.inventoryCursor.updatedAt)})`
+    ? `Offset ${syncState.inventoryCursor.offset || 0}${syncState.inventoryCursor.archived ? " in archived chats" : ""} (updated ${formatIso(syncState.inventoryCursor.updatedAt)})`
     : "None";
 
   const statusCounts = entries.reduce((acc, entry) => {
@@ -138,12 +1391,57 @@ function updateIndexMeta(syncState, entries) {
   meta.push(`Inventory in progress: ${inProgress}`);
   meta.push(`Resume cursor: ${cursor}`);
   meta.push(
-    `Last run statuses: ${formatCount(statusCounts.updated || 0)} updated, ${formatCount(statusCounts.unchanged || 0)} unchanged, ${formatCount(statusCounts.error || 0)} error, ${formatCount(statusCounts.unknown || 0)} unknown.`
+    `Last run statuses: ${formatCount(statusCounts.updated || 0)} updated, ${formatCount(statusCounts.imported || 0)} imported, ${formatCount(statusCounts.restored || 0)} restored, ${formatCount(statusCounts.unchanged || 0)} unchanged, ${formatCount(statusCounts.excluded || 0)} excluded, ${formatCount(statusCounts.error || 0)} error, ${formatCount(statusCounts.unknown || 0)} unknown.`
   );
 
   document.getElementById("indexMeta").textContent = meta.join("\n");
 }
 
+// A chat in a project is grouped under the project, even when it also uses a
+// custom GPT, matching the {group} path template token.
+function getEntryGroup(entry) {
+  if (entry.projectId) {
+    return { id: entry.projectId, label: `Project: ${entry.projectName || entry.projectId}` };
+  }
+  if (entry.gizmoId) {
+    return { id: entry.gizmoId, label: `GPT: ${entry.gizmoName || entry.gizmoId}` };
+  }
+  return { id: "", label: "No project or GPT" };
+}
+
+function renderGroupFilter() {
+  const select = document.getElementById("indexGroup");
+  const current = select.value;
+  const groups = new Map();
+  for (const entry of indexEntries) {
+    for (const [id, label] of [
+      [entry.projectId, `Project: ${entry.projectName || entry.projectId}`],
+      [entry.gizmoId, `GPT: ${entry.gizmoName || entry.gizmoId}`]
+    ]) {
+      if (id) {
+        const group = groups.get(id) || { label, count: 0 };
+        group.count += 1;
+        groups.set(id, group);
+      }
+    }
+  }
+  select.textContent = "";
+  const options = [
+    ["all", "All projects and GPTs"],
+    ["none", "No project or GPT"],
+    ...Array.from(groups.entries())
+      .sort((a, b) => a[1].label.localeCompare(b[1].label))
+      .map(([id, group]) => [id, `${group.label} (${formatCount(group.count)})`])
+  ];
+  for (const [value, label] of options) {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+  select.value = options.some(([value]) => value === current) ? current : "all";
+}
+
 function sortEntries(entries, sortMode) {
   const sorted = [...entries];
   switch (sortMode) {
@@ -171,12 +1469,17 @@ function renderIndexList(entries) {
   const header = document.createElement("div");
   header.className = "index-row head";
   header.innerHTML = `
+    <div><input type="checkbox" class="index-select-all" title="Select all shown" /></div>
     <div>Title</div>
     <div>Status</div>
     <div>Updated</div>
     <div>Last Sync</div>
   `;
   list.appendChild(header);
+  const selectAll = header.querySelector(".index-select-all");
+  const selectedShown = entries.filter((entry) => selectedIds.has(entry.id)).length;
+  selectAll.checked = entries.length > 0 && selectedShown === entries.length;
+  selectAll.indeterminate = selectedShown > 0 && selectedShown < entries.length;
 
   if (!entries.length) {
     const empty = document.createElement("div");
@@ -186,10 +1489,30 @@ function renderIndexList(entries) {
     return;
   }
 
+  const grouped = document.getElementById("indexGroupBy").value === "group";
   const fragment = document.createDocumentFragment();
+  let currentGroup = null;
   for (const entry of entries) {
+    if (grouped) {
+      const group = getEntryGroup(entry);
+      if (group.id !== currentGroup) {
+        currentGroup = group.id;
+        const heading = document.createElement("div");
+        heading.className = "index-group";
+        heading.textContent = group.label;
+        fragment.appendChild(heading);
+      }
+    }
     const row = document.createElement("div");
-    row.className = "index-row";
+    row.className = entry.id === readerEntryId ? "index-row selected" : "index-row";
+    row.dataset.id = entry.id;
+
+    const selectCell = document.createElement("div");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.className = "index-select";
+    checkbox.checked = selectedIds.has(entry.id);
+    selectCell.appendChild(checkbox);
 
     const titleCell = document.createElement("div");
     const title = document.createElement("div");
@@ -197,7 +1520,7 @@ function renderIndexList(entries) {
     title.textContent = entry.title || "(untitled)";
     const subtitle = document.createElement("div");
     subtitle.className = "index-id";
-    subtitle.textContent = entry.id;
+    subtitle.textContent = entry.archived ? `Archived · ${entry.id}` : entry.id;
     titleCell.appendChild(title);
     titleCell.appendChild(subtitle);
 
@@ -217,6 +1540,7 @@ function renderIndexList(entries) {
       syncCell.title = entry.lastError;
     }
 
+    row.appendChild(selectCell);
     row.appendChild(titleCell);
     row.appendChild(statusCell);
     row.appendChild(updatedCell);
@@ -229,6 +1553,7 @@ function renderIndexList(entries) {
 function applyIndexFilters() {
   const searchValue = document.getElementById("indexSearch").value.trim().toLowerCase();
   const statusValue = document.getElementById("indexStatus").value;
+  const groupValue = document.getElementById("indexGroup").value;
   const sortValue = document.getElementById("indexSort").value;
 
   let filtered = indexEntries;
@@ -240,13 +1565,71 @@ function applyIndexFilters() {
       );
     });
   }
-  if (statusValue !== "all") {
+  if (statusValue === "archived") {
+    filtered = filtered.filter((entry) => entry.archived);
+  } else if (statusValue !== "all") {
     filtered = filtered.filter((entry) => (entry.status || "unknown") === statusValue);
   }
 
+  if (groupValue === "none") {
+    filtered = filtered.filter((entry) => !entry.projectId && !entry.gizmoId);
+  } else if (groupValue !== "all") {
+    filtered = filtered.filter(
+      (entry) => entry.projectId === groupValue || entry.gizmoId === groupValue
+    );
+  }
+
   filtered = sortEntries(filtered, sortValue);
+  if (document.getElementById("indexGroupBy").value === "group") {
+    // Stable sort: entries keep the chosen order within each group, and chats
+    // outside any project or GPT come last.
+    filtered.sort((a, b) => {
+      const groupA = getEntryGroup(a);
+      const groupB = getEntryGroup(b);
+      if (!groupA.id !== !groupB.id) {
+        return groupA.id ? -1 : 1;
+      }
+      return groupA.label.localeCompare(groupB.label);
+    });
+  }
+  visibleEntries = filtered;
   document.getElementById("indexCount").textContent = `Showing ${formatCount(filtered.length)} of ${formatCount(indexTotal)} conversations.`;
   renderIndexList(filtered);
+  updateSelectionActions();
+}
+
+function pruneSelection() {
+  const known = new Set(indexEntries.map((entry) => entry.id));
+  for (const id of selectedIds) {
+    if (!known.has(id)) {
+      selectedIds.delete(id);
+    }
+  }
+}
+
+function updateSelectionActions() {
+  const resyncButton = document.getElementById("resyncSelected");
+  resyncButton.textContent = selectedIds.size
+    ? `Re-sync selected (${formatCount(selectedIds.size)})`
+    : "Re-sync selected";
+  resyncButton.disabled = selectedIds.size === 0;
+  document.getElementById("excludeSelected").disabled = selectedIds.size === 0;
+  document.getElementById("allowSelected").disabled = selectedIds.size === 0;
+  document.getElementById("retryErrors").disabled =
+    !indexEntries.some((entry) => entry.status === "error");
+}
+
+function requestConversationSync(ids, callback) {
+  chrome.runtime.sendMessage({ type: "sync-conversations", ids }, (response) => {
+    if (response && response.ok === false && response.error) {
+      window.alert(response.error);
+      return;
+    }
+    loadStatus();
+    if (callback) {
+      callback();
+    }
+  });
 }
 
 function scheduleFilterApply() {
@@ -259,13 +1642,26 @@ function scheduleFilterApply() {
 }
 
 function refreshIndex() {
-  chrome.storage.local.get(["syncState"], (result) => {
-    const syncState = result && result.syncState ? result.syncState : {};
-    indexEntries = buildIndexEntries(syncState);
-    indexTotal = indexEntries.length;
-    latestSyncState = syncState;
-    updateIndexMeta(syncState, indexEntries);
-    applyIndexFilters();
+  const key = scopedName("syncState");
+  chrome.storage.local.get([key], (result) => {
+    reloadIndex(result && result[key] ? result[key] : {});
+  });
+}
+
+// The page shows the account last used by a ChatGPT tab; its state, search
+// index, and folder live under that account's storage scope.
+function loadAccount(callback) {
+  chrome.storage.local.get(["accounts", "activeAccount"], (result) => {
+    const accounts = (result && result.accounts) || {};
+    const account = accounts[result && result.activeAccount] || null;
+    setAccountScope(account ? account.scope : "");
+    const others = Object.keys(accounts).length - (account ? 1 : 0);
+    document.getElementById("accountLabel").textContent = account
+      ? `${account.label}${others > 0 ? ` (${others} other account${others === 1 ? "" : "s"} kept separately)` : ""}`
+      : "Not detected yet (open ChatGPT)";
+    if (callback) {
+      callback();
+    }
   });
 }
 
@@ -274,18 +1670,46 @@ function loadStatus() {
     if (!response || !response.ok) {
       return;
     }
+    currentOptions = response.options;
+    currentStatus = response.status || null;
     applyOptions(response.options);
+    renderEncryptionStatus();
+    renderDestinationHealth(latestDestinationStatus);
     document.getElementById("status").textContent = formatStatus(response.status);
+    applySyncControls(response.status);
   });
 
-  chrome.storage.local.get(["folderLabel"], (result) => {
-    const label = result && result.folderLabel ? result.folderLabel : "No folder selected";
+  const keys = {
+    folderLabel: scopedName("folderLabel"),
+    pendingDeletion: scopedName("pendingDeletion"),
+    destinationStatus: scopedName("destinationStatus"),
+    archiveVerify: scopedName("archiveVerify")
+  };
+  chrome.storage.local.get(Object.values(keys), (result) => {
+    const label = result && result[keys.folderLabel] ? result[keys.folderLabel] : "No folder selected";
     document.getElementById("folderLabel").textContent = label;
+    renderPendingDeletion(result ? result[keys.pendingDeletion] : null);
+    renderDestinationHealth(result ? result[keys.destinationStatus] : null);
+    renderArchiveVerify(result ? result[keys.archiveVerify] : null);
   });
 }
 
 document.getElementById("save").addEventListener("click", () => {
+  const ruleErrors = getRuleErrors();
+  if (ruleErrors.length) {
+    window.alert(`Fix the sync rules before saving:\n${ruleErrors.join("\n")}`);
+    return;
+  }
+  const redactionErrors = getRedactionErrors();
+  if (redactionErrors.length) {
+    window.alert(`Fix the redaction patterns before saving:\n${redactionErrors.join("\n")}`);
+    return;
+  }
   const options = readOptions();
+  if (options.encryptFiles && !encryptionState) {
+    window.alert("Unlock or set an encryption passphrase before turning encryption on.");
+    return;
+  }
   chrome.runtime.sendMessage({ type: "update-options", options }, () => {
     loadStatus();
   });
@@ -297,6 +1721,129 @@ document.getElementById("syncNow").addEventListener("click", () => {
   });
 });
 
+document.getElementById("pauseSync").addEventListener("click", () => {
+  sendSyncControl(currentStatus && currentStatus.paused ? "resume" : "pause");
+});
+
+document.getElementById("cancelSync").addEventListener("click", () => {
+  sendSyncControl("cancel");
+});
+
+document.getElementById("confirmDeletion").addEventListener("click", () => {
+  const confirmed = window.confirm(
+    "Move the files of every listed conversation into the .trash folder and remove them from the index?"
+  );
+  if (confirmed) {
+    resolvePendingDeletion("trash");
+  }
+});
+
+document.getElementById("keepDeletion").addEventListener("click", () => {
+  resolvePendingDeletion("keep");
+});
+
+document.getElementById("unlockEncryption").addEventListener("click", () => {
+  setEncryptionPassphrase(false);
+});
+
+document.getElementById("replaceEncryption").addEventListener("click", () => {
+  setEncryptionPassphrase(true);
+});
+
+document.getElementById("decryptArchive").addEventListener("click", () => {
+  const passphrase = readPassphrase(false);
+  if (passphrase !== null) {
+    decryptSource = null;
+    document.getElementById("decryptTarget").hidden = true;
+    runDecryptStep(() => pickDecryptSource(passphrase));
+  }
+});
+
+document.getElementById("decryptTarget").addEventListener("click", () => {
+  if (decryptSource) {
+    runDecryptStep(runDecryptCopy);
+  }
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== "local") {
+    return;
+  }
+  if (changes[scopedName("pendingDeletion")]) {
+    renderPendingDeletion(changes[scopedName("pendingDeletion")].newValue);
+  }
+  if (changes[scopedName("destinationStatus")]) {
+    renderDestinationHealth(changes[scopedName("destinationStatus")].newValue);
+  }
+  if (changes[scopedName("archiveVerify")]) {
+    renderArchiveVerify(changes[scopedName("archiveVerify")].newValue);
+  }
+  if (changes[scopedName("encryptionSettings")]) {
+    encryptionState = changes[scopedName("encryptionSettings")].newValue || null;
+    renderEncryptionStatus();
+  }
+  if (changes.activeAccount && changes.activeAccount.newValue !== changes.activeAccount.oldValue) {
+    loadAccount(() => {
+      loadStatus();
+      loadEncryptionState();
+      refreshIndex();
+      refreshSearchMeta();
+    });
+  }
+});
+
+document.getElementById("addDestination").addEventListener("click", () => {
+  const list = document.getElementById("destinationList");
+  list.appendChild(
+    createDestinationEditor({
+      id: `dest-${Date.now().toString(36)}`,
+      name: `Destination ${list.children.length + 1}`,
+      includeMarkdown: true,
+      pathTemplate: "{id}"
+    })
+  );
+});
+
+document.getElementById("importStart").addEventListener("click", () => {
+  const input = document.getElementById("importFile");
+  const file = input.files && input.files[0];
+  if (!file) {
+    window.alert("Choose the ZIP file from a ChatGPT data export first.");
+    return;
+  }
+  if (importRunning) {
+    return;
+  }
+  importRunning = true;
+  document.getElementById("importStart").disabled = true;
+  runImport(file)
+    .catch((err) => {
+      const output = document.getElementById("importStatus");
+      output.textContent = `${output.textContent}\nImport stopped: ${err.message}`.trim();
+    })
+    .finally(() => {
+      importRunning = false;
+      document.getElementById("importStart").disabled = false;
+      refreshIndex();
+    });
+});
+
+document.getElementById("verifyArchive").addEventListener("click", () => {
+  const button = document.getElementById("verifyArchive");
+  button.disabled = true;
+  document.getElementById("verifyStatus").textContent = "Verifying...";
+  chrome.runtime.sendMessage(
+    { type: "verify-archive", repair: document.getElementById("verifyRepair").checked },
+    (response) => {
+      button.disabled = false;
+      if (!response || !response.ok) {
+        document.getElementById("verifyStatus").textContent =
+          `Verify failed: ${(response && response.error) || "No response."}`;
+      }
+    }
+  );
+});
+
 document.getElementById("openChatgpt").addEventListener("click", () => {
   chrome.tabs.create({ url: "https://chatgpt.com/" });
 });
@@ -322,6 +1869,160 @@ document.getElementById("reInventory").addEventListener("click", () => {
   });
 });
 
+document.getElementById("rebuildFromFolder").addEventListener("click", () => {
+  const confirmed = window.confirm(
+    "Rebuild from folder reads every conversations/*.json file in the main sync folder, replaces the sync state and index.json with what they record, and then starts a sync that only fetches newer chats. Use it after moving to a new machine or profile. Continue?"
+  );
+  if (!confirmed) {
+    return;
+  }
+  chrome.runtime.sendMessage({ type: "rebuild-from-folder" }, (response) => {
+    if (response && response.ok === false && response.error) {
+      window.alert(response.error);
+      return;
+    }
+    if (response && response.failed) {
+      window.alert(`${response.failed} JSON files could not be read and were skipped.`);
+    }
+    loadStatus();
+    refreshIndex();
+  });
+});
+
+document.getElementById("fullTextSearch").addEventListener("input", () => {
+  scheduleFullTextSearch();
+});
+
+document.getElementById("rebuildSearch").addEventListener("click", () => {
+  chrome.runtime.sendMessage({ type: "rebuild-search-index" }, (response) => {
+    if (response && response.ok === false && response.error) {
+      window.alert(response.error);
+      return;
+    }
+    refreshSearchMeta();
+  });
+});
+
+document.getElementById("indexList").addEventListener("click", (event) => {
+  if (event.target.classList.contains("index-select-all")) {
+    for (const entry of visibleEntries) {
+      if (event.target.checked) {
+        selectedIds.add(entry.id);
+      } else {
+        selectedIds.delete(entry.id);
+      }
+    }
+    applyIndexFilters();
+    return;
+  }
+  const row = event.target.closest(".index-row[data-id]");
+  if (!row) {
+    return;
+  }
+  if (event.target.classList.contains("index-select")) {
+    if (event.target.checked) {
+      selectedIds.add(row.dataset.id);
+    } else {
+      selectedIds.delete(row.dataset.id);
+    }
+    applyIndexFilters();
+    return;
+  }
+  if (event.target.closest(".index-row > div:first-child")) {
+    return;
+  }
+  openReader(row.dataset.id);
+});
+
+document.getElementById("resyncSelected").addEventListener("click", () => {
+  if (!selectedIds.size) {
+    return;
+  }
+  requestConversationSync(Array.from(selectedIds), () => {
+    selectedIds.clear();
+    applyIndexFilters();
+  });
+});
+
+document.getElementById("excludeSelected").addEventListener("click", () => {
+  if (!selectedIds.size) {
+    return;
+  }
+  updateBlockedIds(Array.from(selectedIds), true, () => {
+    selectedIds.clear();
+    applyIndexFilters();
+  });
+});
+
+document.getElementById("allowSelected").addEventListener("click", () => {
+  if (!selectedIds.size) {
+    return;
+  }
+  const ids = Array.from(selectedIds);
+  updateBlockedIds(ids, false, () => {
+    requestConversationSync(ids, () => {
+      selectedIds.clear();
+      applyIndexFilters();
+    });
+  });
+});
+
+document.getElementById("includeRules").addEventListener("input", () => {
+  renderRuleErrors();
+});
+
+document.getElementById("excludeRules").addEventListener("input", () => {
+  renderRuleErrors();
+});
+
+for (const id of ["redactPatterns", "redactionSample", "redactMode"]) {
+  document.getElementById(id).addEventListener("input", () => {
+    renderRedactionPreview();
+  });
+}
+
+for (const input of document.querySelectorAll("[data-detector]")) {
+  input.addEventListener("change", () => {
+    renderRedactionPreview();
+  });
+}
+
+document.getElementById("retryErrors").addEventListener("click", () => {
+  const ids = indexEntries.filter((entry) => entry.status === "error").map((entry) => entry.id);
+  if (!ids.length) {
+    return;
+  }
+  requestConversationSync(ids);
+});
+
+document.getElementById("readerClose").addEventListener("click", () => {
+  closeReader();
+});
+
+document.getElementById("readerOpenFile").addEventListener("click", () => {
+  openReaderFile();
+});
+
+document.getElementById("readerOpenChatgpt").addEventListener("click", () => {
+  if (readerEntryId) {
+    chrome.tabs.create({ url: `https://chatgpt.com/c/${readerEntryId}` });
+  }
+});
+
+document.getElementById("historyCompare").addEventListener("click", () => {
+  compareHistoryVersions();
+});
+
+document.getElementById("readerResync").addEventListener("click", () => {
+  if (!readerEntryId) {
+    return;
+  }
+  requestConversationSync([readerEntryId], () => {
+    document.getElementById("readerSource").textContent =
+      "Re-sync requested. The transcript reloads when it finishes.";
+  });
+});
+
 document.getElementById("indexSearch").addEventListener("input", () => {
   scheduleFilterApply();
 });
@@ -334,11 +2035,20 @@ document.getElementById("indexSort").addEventListener("change", () => {
   applyIndexFilters();
 });
 
+document.getElementById("indexGroup").addEventListener("change", () => {
+  applyIndexFilters();
+});
+
+document.getElementById("indexGroupBy").addEventListener("change", () => {
+  applyIndexFilters();
+});
+
 chrome.storage.onChanged.addListener((changes, areaName) => {
-  if (areaName !== "local" || !changes.folderLabel) {
+  const change = changes[scopedName("folderLabel")];
+  if (areaName !== "local" || !change) {
     return;
   }
-  const value = changes.folderLabel.newValue || "No folder selected";
+  const value = change.newValue || "No folder selected";
   document.getElementById("folderLabel").textContent = value;
 });
 
@@ -346,25 +2056,37 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
   if (areaName !== "local" || !changes.status) {
     return;
   }
-  document.getElementById("status").textContent = formatStatus(changes.status.newValue);
+  currentStatus = changes.status.newValue || null;
+  document.getElementById("status").textContent = formatStatus(currentStatus);
+  applySyncControls(currentStatus);
 });
 
 chrome.storage.onChanged.addListener((changes, areaName) => {
-  if (areaName !== "local" || !changes.syncState) {
+  if (areaName !== "local" || !changes.searchIndexStatus) {
     return;
   }
-  latestSyncState = changes.syncState.newValue || {};
+  refreshSearchMeta();
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  const change = changes[scopedName("syncState")];
+  if (areaName !== "local" || !change) {
+    return;
+  }
+  latestSyncState = change.newValue || {};
   if (indexRenderTimer) {
     return;
   }
   indexRenderTimer = setTimeout(() => {
     indexRenderTimer = null;
-    indexEntries = buildIndexEntries(latestSyncState || {});
-    indexTotal = indexEntries.length;
-    updateIndexMeta(latestSyncState || {}, indexEntries);
-    applyIndexFilters();
+    reloadIndex(latestSyncState || {});
+    refreshSearchMeta();
   }, 500);
 });
 
-loadStatus();
-refreshIndex();
+loadAccount(() => {
+  loadStatus();
+  loadEncryptionState();
+  refreshIndex();
+  refreshSearchMeta();
+});
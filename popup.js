@@ -1,10 +1,28 @@
+let currentStatus = null;
+
+function isSyncRunning(status) {
+  if (!status || !status.lastSyncStartedAt) {
+    return false;
+  }
+  return !status.lastSyncFinishedAt || status.lastSyncFinishedAt < status.lastSyncStartedAt;
+}
+
 function renderStatus(status) {
   if (!status) {
     return "No syncs yet.";
   }
+  if (isSyncRunning(status)) {
+    if (status.cancelRequested) {
+      return "Cancelling...";
+    }
+    return status.paused ? "Paused." : "Syncing...";
+  }
   if (status.lastError) {
     return `Error: ${status.lastError}`;
   }
+  if (status.lastSyncResult === "cancelled") {
+    return `Cancelled: ${status.lastSyncFinishedAt}`;
+  }
   if (status.lastSyncFinishedAt) {
     return `Last sync: ${status.lastSyncFinishedAt}`;
   }
@@ -16,7 +34,27 @@ function loadStatus() {
     if (!response || !response.ok) {
       return;
     }
-    document.getElementById("status").textContent = renderStatus(response.status);
+    applyStatus(response.status);
+  });
+}
+
+function applyStatus(status) {
+  currentStatus = status || null;
+  const running = isSyncRunning(status);
+  document.getElementById("status").textContent = renderStatus(status);
+  document.getElementById("controls").hidden = !running;
+  document.getElementById("pauseSync").textContent = status && status.paused ? "Resume" : "Pause";
+  document.getElementById("pauseSync").disabled = !!(status && status.cancelRequested);
+  document.getElementById("cancelSync").disabled = !!(status && status.cancelRequested);
+}
+
+function sendSyncControl(action) {
+  chrome.runtime.sendMessage({ type: "sync-control", action }, (response) => {
+    if (response && response.ok === false && response.error) {
+      document.getElementById("status").textContent = response.error;
+      return;
+    }
+    loadStatus();
   });
 }
 
@@ -26,6 +64,20 @@ document.getElementById("syncNow").addEventListener("click", () => {
   });
 });
 
+document.getElementById("pauseSync").addEventListener("click", () => {
+  sendSyncControl(currentStatus && currentStatus.paused ? "resume" : "pause");
+});
+
+document.getElementById("cancelSync").addEventListener("click", () => {
+  sendSyncControl("cancel");
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local" && changes.status) {
+    applyStatus(changes.status.newValue);
+  }
+});
+
 document.getElementById("openChatgpt").addEventListener("click", () => {
   chrome.tabs.create({ url: "https://chatgpt.com/" });
 });
@@ -0,0 +1,274 @@
+// Redaction of sensitive text before conversations are written. Shared by the
+// content script (applied to every written conversation) and the options page
+// (validation and the preview panel).
+//
+// Custom patterns take one regular expression per line, either bare
+// (case-sensitive) or as /pattern/flags. Lines starting with # are comments.
+const REDACTION_DETECTORS = {
+  apiKey: {
+    label: "API keys and tokens",
+    pattern:
+      /\b(?:sk-(?:proj-|ant-|svcacct-)?[A-Za-z0-9_-]{20,}|(?:sk|rk|pk)_live_[A-Za-z0-9]{20,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,}|xox[abposr]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35}|glpat-[A-Za-z0-9_-]{20,})/g
+  },
+  email: {
+    label: "Email addresses",
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g
+  },
+  creditCard: {
+    label: "Credit card numbers",
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: isLuhnValid
+  },
+  phone: {
+    label: "Phone numbers",
+    pattern: /(?<![\w+.-])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]\d{2,5}){1,4}(?![\w.-]?\d)/g,
+    validate: isLikelyPhone
+  }
+};
+const REDACTION_MODES = ["mask", "hash"];
+const REDACTION_KEY_STORAGE = "redactionHashKey";
+// Values under these keys in the raw payload are identifiers the transcript
+// and attachments are rebuilt from, so they are never rewritten.
+const REDACTION_SKIPPED_KEYS = ["parent", "children", "current_node", "asset_pointer"];
+// Replacements written by getRedactionToken. A rule that matches inside one
+// (a hash that looks like a phone number, a pattern for "REDACTED") is not a
+// leak.
+const REDACTION_TOKEN_PATTERN = /\[(?:REDACTED:[A-Za-z]+|[A-Za-z]+:[0-9a-f]{12})\]/g;
+
+function isLuhnValid(value) {
+  const digits = value.replace(/\D/g, "");
+  let sum = 0;
+  for (let i = 0; i < digits.length; i += 1) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Dates, times, version numbers, and IP addresses look a lot like phone numbers.
+function isLikelyPhone(value) {
+  const digits = value.replace(/\D/g, "").length;
+  return (
+    digits >= 7 &&
+    digits <= 15 &&
+    !/^\d{4}[-./]\d{1,2}[-./]\d{1,2}$/.test(value) &&
+    !/^\d{1,2}[-./]\d{1,2}[-./]\d{2,4}$/.test(value) &&
+    !/^\d{1,3}(?:\.\d{1,3}){3}$/.test(value)
+  );
+}
+
+function parseRedactionPatterns(text) {
+  const patterns = [];
+  const errors = [];
+  String(text || "")
+    .split("\n")
+    .forEach((raw, index) => {
+      const line = raw.trim();
+      if (!line || line.startsWith("#")) {
+        return;
+      }
+      const literal = line.match(/^\/(.+)\/([a-z]*)$/);
+      try {
+        const source = literal ? literal[1] : line;
+        const flags = literal ? literal[2].replace(/g/g, "") : "";
+        const regex = new RegExp(source, `${flags}g`);
+        if (regex.test("")) {
+          throw new Error("Pattern matches empty text");
+        }
+        patterns.push({ name: "custom", pattern: regex });
+      } catch (err) {
+        errors.push({ line: index + 1, message: err.message });
+      }
+    });
+  return { patterns, errors };
+}
+
+// Short, stable id of the redaction settings. Files written under other
+// settings are rewritten on the next full inventory.
+function getRedactionFingerprint(options) {
+  const detectors = Array.isArray(options.redactDetectors) ? options.redactDetectors : [];
+  const patterns = String(options.redactPatterns || "").trim();
+  if (!detectors.length && !patterns) {
+    return "";
+  }
+  const text = JSON.stringify([options.redactMode === "hash" ? "hmac" : "mask", [...detectors].sort(), patterns]);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, "0");
+}
+
+// Hash mode keys an HMAC with a secret made once per install and kept in
+// chrome.storage.local, so a hashed value cannot be confirmed by hashing
+// guesses. Hashes therefore only match between files of the same install.
+async function loadRedactionKey() {
+  const stored = (await chrome.storage.local.get(REDACTION_KEY_STORAGE))[REDACTION_KEY_STORAGE];
+  let secret = typeof stored === "string" ? stored : "";
+  if (!secret) {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    secret = btoa(String.fromCharCode(...bytes));
+    await chrome.storage.local.set({ [REDACTION_KEY_STORAGE]: secret });
+  }
+  const raw = Uint8Array.from(atob(secret), (char) => char.charCodeAt(0));
+  return crypto.subtle.importKey("raw", raw, { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+}
+
+// hashKey comes from loadRedactionKey and is only needed in hash mode.
+function createRedactor(options, hashKey) {
+  const custom = parseRedactionPatterns(options.redactPatterns);
+  const detectors = (Array.isArray(options.redactDetectors) ? options.redactDetectors : [])
+    .filter((name) => REDACTION_DETECTORS[name])
+    .map((name) => ({ name, ...REDACTION_DETECTORS[name] }));
+  const rules = [...custom.patterns, ...detectors];
+  return {
+    active: rules.length > 0,
+    mode: options.redactMode === "hash" ? "hash" : "mask",
+    hashKey: hashKey || null,
+    rules,
+    fingerprint: getRedactionFingerprint(options),
+    errors: custom.errors
+  };
+}
+
+// Matches from every rule are collected on the original text; where they
+// overlap the earliest (then longest) wins, so a replacement is never matched
+// again by another rule.
+function findRedactionMatches(redactor, text) {
+  const matches = [];
+  for (const rule of redactor.rules) {
+    rule.pattern.lastIndex = 0;
+    let match;
+    while ((match = rule.pattern.exec(text))) {
+      if (!match[0]) {
+        rule.pattern.lastIndex += 1;
+        continue;
+      }
+      if (!rule.validate || rule.validate(match[0])) {
+        matches.push({ name: rule.name, start: match.index, end: match.index + match[0].length, value: match[0] });
+      }
+    }
+  }
+  matches.sort((a, b) => a.start - b.start || b.end - a.end);
+  const kept = [];
+  for (const match of matches) {
+    if (!kept.length || match.start >= kept[kept.length - 1].end) {
+      kept.push(match);
+    }
+  }
+  return kept;
+}
+
+async function getRedactionToken(redactor, match) {
+  if (redactor.mode !== "hash") {
+    return `[REDACTED:${match.name}]`;
+  }
+  if (!redactor.hashKey) {
+    throw new Error("Redaction key is not loaded.");
+  }
+  const digest = await crypto.subtle.sign("HMAC", redactor.hashKey, new TextEncoder().encode(match.value));
+  const hex = Array.from(new Uint8Array(digest).subarray(0, 6), (byte) => byte.toString(16).padStart(2, "0")).join("");
+  return `[${match.name}:${hex}]`;
+}
+
+// Returns { text, count, matches }.
+async function redactText(redactor, text) {
+  if (!redactor || !redactor.active || typeof text !== "string" || !text) {
+    return { text, count: 0, matches: [] };
+  }
+  const matches = findRedactionMatches(redactor, text);
+  if (!matches.length) {
+    return { text, count: 0, matches };
+  }
+  let output = "";
+  let cursor = 0;
+  for (const match of matches) {
+    output += text.slice(cursor, match.start) + (await getRedactionToken(redactor, match));
+    cursor = match.end;
+  }
+  return { text: output + text.slice(cursor), count: matches.length, matches };
+}
+
+function isRedactionSkippedKey(key) {
+  return key === "id" || key.endsWith("_id") || REDACTION_SKIPPED_KEYS.includes(key);
+}
+
+// Redacts every string value of a JSON payload, keeping object keys and
+// identifiers. Returns { value, count }.
+async function redactJson(redactor, value) {
+  if (!redactor || !redactor.active) {
+    return { value, count: 0 };
+  }
+  if (typeof value === "string") {
+    const result = await redactText(redactor, value);
+    return { value: result.text, count: result.count };
+  }
+  if (!value || typeof value !== "object") {
+    return { value, count: 0 };
+  }
+  let count = 0;
+  if (Array.isArray(value)) {
+    const items = [];
+    for (const item of value) {
+      const result = await redactJson(redactor, item);
+      items.push(result.value);
+      count += result.count;
+    }
+    return { value: items, count };
+  }
+  const output = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (isRedactionSkippedKey(key)) {
+      output[key] = item;
+      continue;
+    }
+    const result = await redactJson(redactor, item);
+    output[key] = result.value;
+    count += result.count;
+  }
+  return { value: output, count };
+}
+
+// Returns the first string in an already redacted payload that a rule still
+// matches, as { path, name }, or null. Identifier keys are skipped like in
+// redactJson. Run over everything about to be written, so a field the
+// pipeline forgot to redact fails the write instead of reaching the disk.
+function findUnredacted(redactor, value, path) {
+  if (!redactor || !redactor.active) {
+    return null;
+  }
+  const at = path || "$";
+  if (typeof value === "string") {
+    const matches = findRedactionMatches(redactor, value.replace(REDACTION_TOKEN_PATTERN, " "));
+    return matches.length ? { path: at, name: matches[0].name } : null;
+  }
+  if (!value || typeof value !== "object") {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    for (let i = 0; i < value.length; i += 1) {
+      const found = findUnredacted(redactor, value[i], `${at}[${i}]`);
+      if (found) {
+        return found;
+      }
+    }
+    return null;
+  }
+  for (const [key, item] of Object.entries(value)) {
+    if (isRedactionSkippedKey(key)) {
+      continue;
+    }
+    const found = findUnredacted(redactor, item, `${at}.${key}`);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
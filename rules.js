@@ -0,0 +1,143 @@
+// Include/exclude rules for which conversations are synced. Shared by the
+// content script (evaluated while listing) and the options page (validation).
+//
+// One rule per line; every condition on a line must match:
+//   title:<regex>            case-insensitive, quote it to include spaces
+//   created:<from>..<to>     UTC dates (YYYY-MM-DD); either side may be empty
+//   updated:<from>..<to>
+//   gizmo:<id>               custom GPT id, e.g. g-abc123
+//   project:<id>             ChatGPT Project id, e.g. g-p-abc123
+const RULE_FIELDS = ["title", "created", "updated", "gizmo", "project"];
+const RULE_DAY_SECONDS = 24 * 60 * 60;
+
+function parseRuleDate(value, endOfDay) {
+  if (!value) {
+    return null;
+  }
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) {
+    return NaN;
+  }
+  const start = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) / 1000;
+  return endOfDay ? start + RULE_DAY_SECONDS : start;
+}
+
+function parseRuleRange(value) {
+  const [from, to] = value.includes("..") ? value.split("..") : [value, value];
+  const range = { from: parseRuleDate(from, false), to: parseRuleDate(to, true) };
+  if (Number.isNaN(range.from) || Number.isNaN(range.to) || (range.from === null && range.to === null)) {
+    throw new Error(`Invalid date range "${value}" (use YYYY-MM-DD..YYYY-MM-DD)`);
+  }
+  return range;
+}
+
+function parseRuleLine(line) {
+  const rule = {};
+  const pattern = /(\w+):(?:"([^"]*)"|(\S+))/g;
+  let rest = line;
+  let match;
+  while ((match = pattern.exec(line))) {
+    const field = match[1].toLowerCase();
+    const value = match[2] !== undefined ? match[2] : match[3];
+    rest = rest.replace(match[0], "");
+    if (!RULE_FIELDS.includes(field)) {
+      throw new Error(`Unknown condition "${field}:"`);
+    }
+    if (field === "title") {
+      try {
+        rule.title = new RegExp(value, "i");
+      } catch (err) {
+        throw new Error(`Invalid title pattern: ${err.message}`);
+      }
+    } else if (field === "created" || field === "updated") {
+      rule[field] = parseRuleRange(value);
+    } else {
+      rule[field] = value;
+    }
+  }
+  if (rest.trim()) {
+    throw new Error(`Unexpected text "${rest.trim()}"`);
+  }
+  return rule;
+}
+
+function parseSyncRules(text) {
+  const rules = [];
+  const errors = [];
+  String(text || "")
+    .split("\n")
+    .forEach((raw, index) => {
+      const line = raw.trim();
+      if (!line || line.startsWith("#")) {
+        return;
+      }
+      try {
+        rules.push(parseRuleLine(line));
+      } catch (err) {
+        errors.push({ line: index + 1, message: err.message });
+      }
+    });
+  return { rules, errors };
+}
+
+// Projects are gizmos with a "g-p-" id; everything else is a custom GPT.
+function getConversationGroups(item) {
+  // List items carry the project in gizmo_id or conversation_template_id;
+  // index entries store it as project_id.
+  const candidates = [item && item.project_id, item && item.gizmo_id, item && item.conversation_template_id];
+  const projectId = candidates.find((id) => typeof id === "string" && id.startsWith("g-p-")) || "";
+  const gizmoId =
+    typeof item.gizmo_id === "string" && item.gizmo_id && item.gizmo_id !== projectId
+      ? item.gizmo_id
+      : "";
+  return { gizmoId, projectId };
+}
+
+function inRuleRange(range, seconds) {
+  if (!seconds) {
+    return false;
+  }
+  return (range.from === null || seconds >= range.from) && (range.to === null || seconds < range.to);
+}
+
+function ruleMatches(rule, info) {
+  return (
+    (!rule.title || rule.title.test(info.title)) &&
+    (!rule.created || inRuleRange(rule.created, info.create_time)) &&
+    (!rule.updated || inRuleRange(rule.updated, info.update_time)) &&
+    (!rule.gizmo || rule.gizmo === info.gizmoId) &&
+    (!rule.project || rule.project === info.projectId)
+  );
+}
+
+function createSyncFilter(options) {
+  const include = parseSyncRules(options.includeRules);
+  const exclude = parseSyncRules(options.excludeRules);
+  return {
+    include: include.rules,
+    exclude: exclude.rules,
+    blocked: new Set(Array.isArray(options.blockedIds) ? options.blockedIds : []),
+    skipArchived: options.syncArchived === false,
+    errors: [...include.errors, ...exclude.errors]
+  };
+}
+
+// Returns why a conversation is excluded, or "" when it should sync.
+// `info` carries the title, create/update times in epoch seconds, and
+// `is_archived`.
+function getExclusionReason(filter, id, info) {
+  if (filter.blocked.has(id)) {
+    return "Blocked in the options page";
+  }
+  if (filter.skipArchived && info.is_archived === true) {
+    return "Archived chats are not synced";
+  }
+  const details = { ...info, title: info.title || "", ...getConversationGroups(info) };
+  if (filter.include.length && !filter.include.some((rule) => ruleMatches(rule, details))) {
+    return "No include rule matches";
+  }
+  if (filter.exclude.some((rule) => ruleMatches(rule, details))) {
+    return "Matches an exclude rule";
+  }
+  return "";
+}
@@ -0,0 +1,325 @@
+const SEARCH_DB_NAME = "chatgpt-local-sync-search";
+const SEARCH_DOCS_STORE = "documents";
+const SEARCH_POSTINGS_STORE = "postings";
+const SEARCH_MAX_MESSAGE_CHARS = 20000;
+const SEARCH_MAX_RESULTS = 100;
+const SEARCH_SNIPPET_RADIUS = 80;
+
+function normalizeSearchText(text) {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+function tokenizeSearchText(text) {
+  const tokens = normalizeSearchText(text).match(/[\p{L}\p{N}]+/gu) || [];
+  return tokens.filter((token) => token.length > 1).map((token) => token.slice(0, 40));
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
+
+function openSearchDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(scopedName(SEARCH_DB_NAME), 1);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SEARCH_DOCS_STORE)) {
+        db.createObjectStore(SEARCH_DOCS_STORE, { keyPath: "id" });
+      }
+      if (!db.objectStoreNames.contains(SEARCH_POSTINGS_STORE)) {
+        db.createObjectStore(SEARCH_POSTINGS_STORE, { keyPath: ["term", "id"] });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function toSearchDocument(input) {
+  const messages = (Array.isArray(input.messages) ? input.messages : [])
+    .filter((message) => message && message.text)
+    .map((message) => ({
+      id: message.id || "",
+      role: message.role || "unknown",
+      text: String(message.text).slice(0, SEARCH_MAX_MESSAGE_CHARS),
+      create_time: message.create_time || 0,
+      active: message.active !== false
+    }));
+  const terms = new Set(tokenizeSearchText(input.title));
+  for (const message of messages) {
+    for (const term of tokenizeSearchText(message.text)) {
+      terms.add(term);
+    }
+  }
+  return {
+    id: input.id,
+    title: input.title || "",
+    create_time: input.create_time || 0,
+    update_time: input.update_time || 0,
+    messages,
+    terms: Array.from(terms)
+  };
+}
+
+async function indexSearchDocument(input) {
+  if (!input || !input.id) {
+    return;
+  }
+  const doc = toSearchDocument(input);
+  const db = await openSearchDb();
+  const tx = db.transaction([SEARCH_DOCS_STORE, SEARCH_POSTINGS_STORE], "readwrite");
+  const docs = tx.objectStore(SEARCH_DOCS_STORE);
+  const postings = tx.objectStore(SEARCH_POSTINGS_STORE);
+
+  const previous = await requestToPromise(docs.get(doc.id));
+  const previousTerms = new Set(previous && Array.isArray(previous.terms) ? previous.terms : []);
+  const nextTerms = new Set(doc.terms);
+
+  // Only the postings that changed are touched so re-indexing an edited chat
+  // stays proportional to the edit, not to the size of the archive.
+  for (const term of previousTerms) {
+    if (!nextTerms.has(term)) {
+      postings.delete([term, doc.id]);
+    }
+  }
+  for (const term of nextTerms) {
+    if (!previousTerms.has(term)) {
+      postings.put({ term, id: doc.id });
+    }
+  }
+  docs.put(doc);
+  await transactionDone(tx);
+  db.close();
+}
+
+async function removeSearchDocuments(ids) {
+  const list = Array.from(ids || []).filter(Boolean);
+  if (!list.length) {
+    return;
+  }
+  const db = await openSearchDb();
+  const tx = db.transaction([SEARCH_DOCS_STORE, SEARCH_POSTINGS_STORE], "readwrite");
+  const docs = tx.objectStore(SEARCH_DOCS_STORE);
+  const postings = tx.objectStore(SEARCH_POSTINGS_STORE);
+  for (const id of list) {
+    const previous = await requestToPromise(docs.get(id));
+    if (!previous) {
+      continue;
+    }
+    for (const term of previous.terms || []) {
+      postings.delete([term, id]);
+    }
+    docs.delete(id);
+  }
+  await transactionDone(tx);
+  db.close();
+}
+
+async function getSearchDocument(id) {
+  const db = await openSearchDb();
+  const tx = db.transaction(SEARCH_DOCS_STORE, "readonly");
+  const doc = await requestToPromise(tx.objectStore(SEARCH_DOCS_STORE).get(id));
+  db.close();
+  return doc || null;
+}
+
+async function getSearchStats() {
+  const db = await openSearchDb();
+  const tx = db.transaction(SEARCH_DOCS_STORE, "readonly");
+  const count = await requestToPromise(tx.objectStore(SEARCH_DOCS_STORE).count());
+  db.close();
+  return { documents: count };
+}
+
+function parseSearchQuery(query) {
+  const roles = [];
+  const phrases = [];
+  const words = [];
+  const pattern = /(?:(\w+):)?(?:"([^"]*)"|(\S+))/g;
+  let match;
+
+  while ((match = pattern.exec(String(query || "")))) {
+    const field = match[1] ? match[1].toLowerCase() : "";
+    const quoted = match[2] !== undefined;
+    const value = quoted ? match[2] : match[3];
+    if (field === "role" && value) {
+      roles.push(value.toLowerCase());
+      continue;
+    }
+    const raw = field ? `${match[1]}:${value}` : value;
+    if (quoted) {
+      const phrase = normalizeSearchText(raw).trim();
+      if (phrase) {
+        phrases.push(phrase);
+      }
+    } else {
+      words.push(...tokenizeSearchText(raw));
+    }
+  }
+
+  const terms = new Set(words);
+  for (const phrase of phrases) {
+    for (const term of tokenizeSearchText(phrase)) {
+      terms.add(term);
+    }
+  }
+  return { roles, phrases, words, terms: Array.from(terms) };
+}
+
+async function findCandidateIds(postings, terms) {
+  let candidates = null;
+  for (const term of terms) {
+    // Prefix match so "deploy" also finds "deployment".
+    const range = IDBKeyRange.bound([term, ""], [`${term}\uffff`, "\uffff"]);
+    const keys = await requestToPromise(postings.getAllKeys(range));
+    const ids = new Set(keys.map((key) => key[1]));
+    candidates = candidates
+      ? new Set(Array.from(candidates).filter((id) => ids.has(id)))
+      : ids;
+    if (!candidates.size) {
+      break;
+    }
+  }
+  return candidates || new Set();
+}
+
+function findMatchRanges(text, needles) {
+  const normalized = normalizeSearchText(text);
+  const ranges = [];
+  for (const needle of needles) {
+    let index = normalized.indexOf(needle);
+    while (index !== -1) {
+      ranges.push([index, index + needle.length]);
+      index = normalized.indexOf(needle, index + needle.length);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  }
+  return merged;
+}
+
+function buildSnippet(text, ranges) {
+  // Normalization keeps string length for Latin text; fall back to the raw
+  // text when it does not, so offsets never point into the wrong place.
+  const source = String(text || "");
+  const usable = normalizeSearchText(source).length === source.length ? ranges : [];
+  const first = usable.length ? usable[0][0] : 0;
+  const start = Math.max(0, first - SEARCH_SNIPPET_RADIUS);
+  const end = Math.min(source.length, (usable.length ? usable[0][1] : 0) + SEARCH_SNIPPET_RADIUS * 2);
+  const segments = [];
+  let cursor = start;
+
+  for (const [from, to] of usable) {
+    if (to <= start || from >= end) {
+      continue;
+    }
+    if (from > cursor) {
+      segments.push({ text: source.slice(cursor, from), match: false });
+    }
+    segments.push({ text: source.slice(Math.max(from, cursor), Math.min(to, end)), match: true });
+    cursor = Math.min(to, end);
+  }
+  if (cursor < end) {
+    segments.push({ text: source.slice(cursor, end), match: false });
+  }
+  if (start > 0 && segments.length) {
+    segments[0].text = `…${segments[0].text.replace(/^\S*\s/, "")}`;
+  }
+  if (end < source.length && segments.length) {
+    const last = segments[segments.length - 1];
+    last.text = `${last.text}…`;
+  }
+  return segments.map((segment) => ({ ...segment, text: segment.text.replace(/\s+/g, " ") }));
+}
+
+function messageMatches(text, parsed) {
+  const normalized = normalizeSearchText(text);
+  return (
+    parsed.phrases.every((phrase) => normalized.includes(phrase)) &&
+    parsed.words.every((word) => normalized.includes(word))
+  );
+}
+
+async function searchArchive(query, limit) {
+  const parsed = parseSearchQuery(query);
+  if (!parsed.terms.length) {
+    return { results: [], total: 0, parsed };
+  }
+  const maxResults = limit || SEARCH_MAX_RESULTS;
+  const db = await openSearchDb();
+  const tx = db.transaction([SEARCH_DOCS_STORE, SEARCH_POSTINGS_STORE], "readonly");
+  const docs = tx.objectStore(SEARCH_DOCS_STORE);
+  const candidates = await findCandidateIds(tx.objectStore(SEARCH_POSTINGS_STORE), parsed.terms);
+  const needles = [...parsed.phrases, ...parsed.words];
+  const results = [];
+
+  for (const id of candidates) {
+    const doc = await requestToPromise(docs.get(id));
+    if (!doc) {
+      continue;
+    }
+    const before = results.length;
+    for (const message of doc.messages || []) {
+      if (parsed.roles.length && !parsed.roles.includes(message.role)) {
+        continue;
+      }
+      if (!messageMatches(message.text, parsed)) {
+        continue;
+      }
+      const ranges = findMatchRanges(message.text, needles);
+      results.push({
+        id: doc.id,
+        title: doc.title,
+        update_time: doc.update_time,
+        message_id: message.id,
+        role: message.role,
+        create_time: message.create_time,
+        active: message.active !== false,
+        score: ranges.length,
+        snippet: buildSnippet(message.text, ranges)
+      });
+    }
+    if (results.length === before && !parsed.roles.length && messageMatches(doc.title, parsed)) {
+      const ranges = findMatchRanges(doc.title, needles);
+      results.push({
+        id: doc.id,
+        title: doc.title,
+        update_time: doc.update_time,
+        message_id: "",
+        role: "title",
+        create_time: doc.create_time,
+        active: true,
+        score: ranges.length,
+        snippet: buildSnippet(doc.title, ranges)
+      });
+    }
+  }
+  db.close();
+
+  results.sort((a, b) => b.score - a.score || (b.update_time || 0) - (a.update_time || 0));
+  return { results: results.slice(0, maxResults), total: results.length, parsed };
+}
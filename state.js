@@ -0,0 +1,99 @@
+// Per-conversation sync state, one record per conversation id. Loaded after
+// search.js, whose requestToPromise/transactionDone helpers it shares; the
+// search database is scoped per account through scopedName below.
+const STATE_DB_NAME = "chatgpt-local-sync-state";
+const STATE_STORE = "conversations";
+const STATE_PAGE_SIZE = 500;
+
+// Storage scope of the ChatGPT account in use. The first account keeps the
+// original names; every later one gets its own databases and chrome.storage
+// keys with a ":<scope>" suffix.
+let accountScope = "";
+
+function setAccountScope(scope) {
+  accountScope = typeof scope === "string" ? scope : "";
+}
+
+function scopedName(name, scope = accountScope) {
+  return scope ? `${name}:${scope}` : name;
+}
+
+function openStateDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(scopedName(STATE_DB_NAME), 1);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STATE_STORE)) {
+        db.createObjectStore(STATE_STORE, { keyPath: "id" });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function toConversationState(state, id) {
+  const updateTime = state.conversations ? state.conversations[id] : 0;
+  return {
+    id,
+    update_time: Number.isFinite(updateTime) ? updateTime : 0,
+    meta: (state.meta && state.meta[id]) || null,
+    lastRun: (state.lastRun && state.lastRun[id]) || null
+  };
+}
+
+function addConversationState(state, record) {
+  if (!record || !record.id) {
+    return;
+  }
+  state.conversations[record.id] = record.update_time || 0;
+  if (record.meta) {
+    state.meta[record.id] = record.meta;
+  }
+  if (record.lastRun) {
+    state.lastRun[record.id] = record.lastRun;
+  }
+}
+
+async function writeConversationStates(records, removedIds) {
+  const removed = Array.from(removedIds || []).filter(Boolean);
+  if (!records.length && !removed.length) {
+    return;
+  }
+  const db = await openStateDb();
+  const tx = db.transaction(STATE_STORE, "readwrite");
+  const store = tx.objectStore(STATE_STORE);
+  for (const record of records) {
+    store.put(record);
+  }
+  for (const id of removed) {
+    store.delete(id);
+  }
+  await transactionDone(tx);
+  db.close();
+}
+
+async function readAllConversationStates() {
+  const db = await openStateDb();
+  const tx = db.transaction(STATE_STORE, "readonly");
+  const records = await requestToPromise(tx.objectStore(STATE_STORE).getAll());
+  db.close();
+  return records || [];
+}
+
+async function readConversationStatePage(afterId, limit) {
+  const db = await openStateDb();
+  const tx = db.transaction(STATE_STORE, "readonly");
+  const range = afterId ? IDBKeyRange.lowerBound(afterId, true) : null;
+  const records = await requestToPromise(
+    tx.objectStore(STATE_STORE).getAll(range, limit || STATE_PAGE_SIZE)
+  );
+  db.close();
+  const page = records || [];
+  return {
+    records: page,
+    nextId: page.length === (limit || STATE_PAGE_SIZE) ? page[page.length - 1].id : null
+  };
+}
@@ -0,0 +1,128 @@
+// Minimal ZIP reader for ChatGPT data exports. Reads the central directory and
+// inflates single entries on demand, so large exports never load in full.
+const ZIP_EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP_CENTRAL_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+const ZIP_EOCD_MAX_SCAN = 65535 + 22;
+
+async function readZipBytes(file, start, length) {
+  const buffer = await file.slice(start, start + length).arrayBuffer();
+  return new DataView(buffer);
+}
+
+function readZip64Value(view, offset) {
+  return Number(view.getBigUint64(offset, true));
+}
+
+async function findZipDirectory(file) {
+  const scanLength = Math.min(file.size, ZIP_EOCD_MAX_SCAN);
+  const tail = await readZipBytes(file, file.size - scanLength, scanLength);
+  let eocd = -1;
+  for (let offset = scanLength - 22; offset >= 0; offset -= 1) {
+    if (tail.getUint32(offset, true) === ZIP_EOCD_SIGNATURE) {
+      eocd = offset;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error("Not a ZIP file");
+  }
+
+  let count = tail.getUint16(eocd + 10, true);
+  let size = tail.getUint32(eocd + 12, true);
+  let offset = tail.getUint32(eocd + 16, true);
+  const locator = eocd - 20;
+  if (locator >= 0 && tail.getUint32(locator, true) === ZIP64_LOCATOR_SIGNATURE) {
+    // Exports with many media files cross the 65535 entry or 4 GB limits.
+    const recordOffset = readZip64Value(tail, locator + 8);
+    const record = await readZipBytes(file, recordOffset, 56);
+    if (record.getUint32(0, true) !== ZIP64_EOCD_SIGNATURE) {
+      throw new Error("Corrupt ZIP64 directory");
+    }
+    count = readZip64Value(record, 32);
+    size = readZip64Value(record, 40);
+    offset = readZip64Value(record, 48);
+  }
+  return { count, size, offset };
+}
+
+function applyZip64Extra(view, start, length, entry) {
+  let cursor = start;
+  const end = start + length;
+  while (cursor + 4 <= end) {
+    const id = view.getUint16(cursor, true);
+    const size = view.getUint16(cursor + 2, true);
+    if (id === 0x0001) {
+      let field = cursor + 4;
+      for (const key of ["size", "compressedSize", "offset"]) {
+        if (entry[key] === 0xffffffff && field + 8 <= cursor + 4 + size) {
+          entry[key] = readZip64Value(view, field);
+          field += 8;
+        }
+      }
+      return;
+    }
+    cursor += 4 + size;
+  }
+}
+
+async function readZipEntries(file) {
+  const directory = await findZipDirectory(file);
+  const view = await readZipBytes(file, directory.offset, directory.size);
+  const decoder = new TextDecoder("utf-8");
+  const entries = [];
+  let cursor = 0;
+
+  for (let index = 0; index < directory.count && cursor + 46 <= view.byteLength; index += 1) {
+    if (view.getUint32(cursor, true) !== ZIP_CENTRAL_SIGNATURE) {
+      throw new Error("Corrupt ZIP directory");
+    }
+    const nameLength = view.getUint16(cursor + 28, true);
+    const extraLength = view.getUint16(cursor + 30, true);
+    const commentLength = view.getUint16(cursor + 32, true);
+    const nameBytes = new Uint8Array(view.buffer, view.byteOffset + cursor + 46, nameLength);
+    const entry = {
+      name: decoder.decode(nameBytes),
+      flags: view.getUint16(cursor + 8, true),
+      method: view.getUint16(cursor + 10, true),
+      compressedSize: view.getUint32(cursor + 20, true),
+      size: view.getUint32(cursor + 24, true),
+      offset: view.getUint32(cursor + 42, true)
+    };
+    applyZip64Extra(view, cursor + 46 + nameLength, extraLength, entry);
+    if (!entry.name.endsWith("/")) {
+      entries.push(entry);
+    }
+    cursor += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+async function readZipEntryBlob(file, entry, type) {
+  if (entry.flags & 0x1) {
+    throw new Error(`${entry.name} is encrypted`);
+  }
+  const header = await readZipBytes(file, entry.offset, 30);
+  if (header.getUint32(0, true) !== ZIP_LOCAL_SIGNATURE) {
+    throw new Error(`Corrupt ZIP entry: ${entry.name}`);
+  }
+  const dataStart =
+    entry.offset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+  const data = file.slice(dataStart, dataStart + entry.compressedSize);
+  if (entry.method === 0) {
+    return new Blob([data], { type: type || "" });
+  }
+  if (entry.method !== 8) {
+    throw new Error(`Unsupported compression in ${entry.name}`);
+  }
+  const inflated = data.stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  const blob = await new Response(inflated).blob();
+  return type ? new Blob([blob], { type }) : blob;
+}
+
+async function readZipEntryText(file, entry) {
+  const blob = await readZipEntryBlob(file, entry);
+  return blob.text();
+}